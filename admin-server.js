@@ -1,5 +1,5 @@
 /* admin-server.js
-   Web interface for managing stock-mapping.json and viewing logs
+   Web interface for managing stock-mapping.json, inspecting jobs, reviewing held quotes and viewing logs
 */
 require('dotenv').config();
 const express = require('express');
@@ -7,6 +7,39 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const logger = require('./logger');
+const {
+  getJob,
+  listJobs,
+  listJobEvents,
+  requeueJob,
+  cancelJob,
+  deleteJob,
+  listReviewJobs,
+  updateReviewData,
+  claimReview,
+  releaseReview,
+  resolveReview,
+  recoverStuckApprovals,
+  runStage,
+  resumeStage,
+  saveStageResult,
+  listCompletedStages
+} = require('./job-store');
+const { loadReviewRules, saveReviewRules } = require('./review-rules');
+const { loadWatches, saveWatches, findWatch } = require('./watch-config');
+const {
+  WORKER_SETTINGS,
+  loadWorkerConfig,
+  getDefaultMailbox,
+  readOverrides,
+  saveWorkerConfig,
+  readWorkerStatus
+} = require('./worker-config');
+const { processQuote } = require('./quote-processor');
+const { PRINTIQ_ODATA_URL, fetchODataAll } = require('./printiq-client');
+const { buildQuoteReply, sendQuoteReply } = require('./quote-reply');
+const { graphMessageId, applyMailActions } = require('./mail-actions');
+const { getGraphAccessToken, markMessageAsRead } = require('./ms-graph-mail');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
@@ -61,11 +94,10 @@ if (!fs.existsSync(SECTION_OPERATIONS_FILE)) {
   fs.writeFileSync(SECTION_OPERATIONS_FILE, JSON.stringify(defaultSectionOperations, null, 2), 'utf8');
 }
 
-// Initialize folder-config.json if it doesn't exist
+// Initialize folder-config.json if it doesn't exist (watch the default mailbox's Inbox)
 if (!fs.existsSync(FOLDER_CONFIG_FILE)) {
   const defaultFolderConfig = {
-    selectedFolderId: 'Inbox',
-    selectedFolderName: 'Inbox'
+    watches: [{ id: 'default', mailbox: getDefaultMailbox(), folderId: 'Inbox', folderName: 'Inbox', enabled: true }]
   };
   fs.writeFileSync(FOLDER_CONFIG_FILE, JSON.stringify(defaultFolderConfig, null, 2), 'utf8');
 }
@@ -109,44 +141,16 @@ app.get('/api/printiq-process-types', (req, res) => {
   }
 });
 
+// Status for a failed PrintIQ call: PrintIQ's own 4xx status, otherwise 500
+function printiqErrorStatus(err) {
+  return err.code === 'http' && err.status < 500 ? err.status : 500;
+}
+
 // Refresh PrintIQ process types from API
 app.post('/api/printiq-process-types/refresh', async (req, res) => {
   try {
-    const accessToken = process.env.PRINTIQ_ACCESS_TOKEN;
-    if (!accessToken) {
-      return res.status(500).json({ error: 'PRINTIQ_ACCESS_TOKEN environment variable not set' });
-    }
-
-    const baseUrl = 'https://adsaust.printiq.com/api/v1/odata/Processes';
-
-    console.log('Fetching PrintIQ process types...');
-
-    const response = await fetch(baseUrl, {
-      headers: {
-        'PrintIQ-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`PrintIQ API returned status ${response.status}:`, errorText);
-      return res.status(response.status).json({ error: `PrintIQ API error: ${errorText}` });
-    }
-
-    // Check if response is actually HTML (common when auth fails or endpoint is wrong)
-    const contentType = response.headers.get('content-type');
-    if (contentType && contentType.includes('text/html')) {
-      const htmlContent = await response.text();
-      console.error('PrintIQ API returned HTML instead of JSON. This usually indicates an authentication error or incorrect endpoint.');
-      console.error('Response content (first 500 chars):', htmlContent.substring(0, 500));
-      return res.status(500).json({
-        error: 'PrintIQ API returned HTML instead of JSON. This usually indicates an authentication error or incorrect endpoint. Check your PRINTIQ_ACCESS_TOKEN.'
-      });
-    }
-
-    const data = await response.json();
-    const processes = data.value || [];
+    console.log(`Fetching PrintIQ process types from ${PRINTIQ_ODATA_URL}...`);
+    const processes = await fetchODataAll('Processes');
 
     // Extract only Description field
     const processDescriptions = processes.map(process => process.Description).filter(desc => desc && desc.trim());
@@ -162,76 +166,21 @@ app.post('/api/printiq-process-types/refresh', async (req, res) => {
     });
   } catch (err) {
     console.error('Error refreshing PrintIQ process types:', err);
-    res.status(500).json({ error: err.message });
+    res.status(printiqErrorStatus(err)).json({ error: err.message });
   }
 });
 
 // Refresh stock definitions from PrintIQ API
 app.post('/api/printiq-stock-definitions/refresh', async (req, res) => {
   try {
-    const accessToken = process.env.PRINTIQ_ACCESS_TOKEN;
-    if (!accessToken) {
-      return res.status(500).json({ error: 'PRINTIQ_ACCESS_TOKEN environment variable not set' });
-    }
-
-    const baseUrl = 'https://adsaust.printiq.com/api/v1/odata/StockDefinitions';
-    let allStockDefinitions = [];
-    let skip = 0;
-    const pageSize = 50;
+    console.log(`Starting refresh of PrintIQ stock definitions from ${PRINTIQ_ODATA_URL}...`);
+    const stocks = await fetchODataAll('StockDefinitions');
 
-    console.log('Starting refresh of PrintIQ stock definitions...');
-
-    while (true) {
-      const url = `${baseUrl}?$skip=${skip}`;
-      console.log(`Fetching PrintIQ stock definitions, skip=${skip}, url=${url}`);
-
-      const response = await fetch(url, {
-        headers: {
-          'PrintIQ-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`PrintIQ API returned status ${response.status}:`, errorText);
-        return res.status(response.status).json({ error: `PrintIQ API error: ${errorText}` });
-      }
-
-      // Check if response is actually HTML (common when auth fails or endpoint is wrong)
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('text/html')) {
-        const htmlContent = await response.text();
-        console.error('PrintIQ API returned HTML instead of JSON. This usually indicates an authentication error or incorrect endpoint.');
-        console.error('Response content (first 500 chars):', htmlContent.substring(0, 500));
-        return res.status(500).json({
-          error: 'PrintIQ API returned HTML instead of JSON. This usually indicates an authentication error or incorrect endpoint. Check your PRINTIQ_ACCESS_TOKEN.'
-        });
-      }
-
-      const data = await response.json();
-      const stocks = data.value || [];
-
-      console.log(`API returned ${stocks.length} raw stock items`);
-
-      // Extract only Code and Description
-      const processedStocks = stocks.map(stock => ({
-        code: stock.Code,
-        description: stock.Description
-      }));
-
-      allStockDefinitions = allStockDefinitions.concat(processedStocks);
-
-      console.log(`Processed ${processedStocks.length} stock definitions, total so far: ${allStockDefinitions.length}`);
-      console.log(`Sample processed stock:`, processedStocks[0]);
-
-      // Check if there are more pages
-      if (data['@odata.nextLink']) {
-        skip += pageSize;
-      } else {
-        break;
-      }
-    }
+    // Extract only Code and Description
+    const allStockDefinitions = stocks.map(stock => ({
+      code: stock.Code,
+      description: stock.Description
+    }));
 
     // Save to file
     fs.writeFileSync(STOCK_CODES_FILE, JSON.stringify(allStockDefinitions, null, 2), 'utf8');
@@ -244,7 +193,7 @@ app.post('/api/printiq-stock-definitions/refresh', async (req, res) => {
     });
   } catch (err) {
     console.error('Error refreshing PrintIQ stock definitions:', err);
-    res.status(500).json({ error: err.message });
+    res.status(printiqErrorStatus(err)).json({ error: err.message });
   }
 });
 
@@ -693,11 +642,11 @@ app.delete('/api/section-operations/:index', (req, res) => {
   }
 });
 
-// Get mail folders from Microsoft Graph
+// Get mail folders from Microsoft Graph (?mailbox=, default the worker's default mailbox)
 app.get('/api/folders', async (req, res) => {
   try {
     const { getGraphAccessToken, fetchMailFolders } = require('./ms-graph-mail');
-    const mailbox = process.env.EMAIL_FROM;
+    const mailbox = String(req.query.mailbox || getDefaultMailbox()).trim();
     
     if (!mailbox) {
       return res.status(500).json({ error: 'EMAIL_FROM environment variable not set' });
@@ -720,56 +669,121 @@ app.get('/api/folders', async (req, res) => {
   }
 });
 
-// Get selected folder configuration
-app.get('/api/folder-config', (req, res) => {
+// -----------------------------------------
+// Watched mailbox folders (watch-config.js)
+// -----------------------------------------
+
+// Save the list and report validation problems as 400
+function saveWatchList(res, watches) {
   try {
-    if (!fs.existsSync(FOLDER_CONFIG_FILE)) {
-      return res.json({ selectedFolderId: 'Inbox', selectedFolderName: 'Inbox' });
-    }
-    const content = fs.readFileSync(FOLDER_CONFIG_FILE, 'utf8');
-    const config = JSON.parse(content);
-    res.json(config);
+    return saveWatches(watches);
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+// List watches (defaultMailbox is used when a watch has no mailbox)
+app.get('/api/watches', (req, res) => {
+  try {
+    res.json({ watches: loadWatches(), defaultMailbox: getDefaultMailbox() });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Update selected folder configuration
-app.post('/api/folder-config', (req, res) => {
+// Add a watch: { mailbox, folderId, folderName, enabled, replyFrom, customerProfile }
+app.post('/api/watches', (req, res) => {
   try {
-    const { selectedFolderId, selectedFolderName } = req.body;
+    const { id, ...watch } = req.body || {};
+    const watches = saveWatchList(res, [...loadWatches(), watch]);
+    if (!watches) return;
+    res.json({
+      success: true,
+      message: 'Folder added. The worker starts watching it within a few seconds.',
+      watch: watches[watches.length - 1]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!selectedFolderId) {
-      return res.status(400).json({ error: 'selectedFolderId is required' });
+// Update a watch (fields not sent are kept)
+app.put('/api/watches/:id', (req, res) => {
+  try {
+    const current = loadWatches();
+    const index = current.findIndex(watch => watch.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Watch not found' });
     }
+    current[index] = { ...current[index], ...(req.body || {}), id: current[index].id };
+    const watches = saveWatchList(res, current);
+    if (!watches) return;
+    res.json({ success: true, message: 'Folder updated. The worker applies the change within a few seconds.', watch: watches[index] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const config = {
-      selectedFolderId,
-      selectedFolderName: selectedFolderName || selectedFolderId
-    };
+// Stop watching a folder (jobs already queued from it are kept)
+app.delete('/api/watches/:id', (req, res) => {
+  try {
+    const current = loadWatches();
+    const remaining = current.filter(watch => watch.id !== req.params.id);
+    if (remaining.length === current.length) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    saveWatches(remaining);
+    res.json({ success: true, message: 'Folder removed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    fs.writeFileSync(FOLDER_CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+// -----------------------------------------
+// Worker settings (worker-config.js) — applied by the running worker without a restart
+// -----------------------------------------
 
-    // Restart the worker service programmatically
-    //exec('docker restart local_worker', { cwd: process.cwd() }, (error, stdout, stderr) => {
-    //  if (error) {
-    //    logger.warn(`Failed to restart worker service: ${error.message}`);
-    //    // Still return success for folder update, but log the restart failure
-    //  } else {
-    //    logger.log('Worker service restarted successfully after folder selection');
-    //  }
-    //});
+// Configuration the worker is actually running with, from its worker-status.json heartbeat.
+// stale is true when the worker has not written it for three poll intervals (killed or stuck);
+// a worker that shut down cleanly reports state 'stopped'.
+app.get('/api/worker/status', (req, res) => {
+  try {
+    const status = readWorkerStatus();
+    if (!status) {
+      return res.json({ running: false, status: null });
+    }
+    const interval = status.config?.pollIntervalMs || WORKER_SETTINGS.pollIntervalMs.default;
+    const stale = Date.now() - Date.parse(status.updatedAt) > 3 * interval + 5000;
+    res.json({ running: !stale && status.state !== 'stopped', stale, status });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    res.json({
-      success: true,
-      message: 'Folder configuration updated successfully. Restart the worker service manually.',
-      config
-    });
+// Settings as configured (env + worker-config.json) and the stored overrides
+app.get('/api/worker-config', (req, res) => {
+  try {
+    const { sources, ...config } = loadWorkerConfig();
+    const env = Object.fromEntries(Object.entries(WORKER_SETTINGS).map(([key, setting]) => [key, process.env[setting.env] ?? null]));
+    res.json({ config, sources, overrides: readOverrides(), env });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Replace the overrides: { pollIntervalMs, claimLimit, workerConcurrency, pushCatchupIntervalMs, mailbox };
+// blank values fall back to the env setting
+app.post('/api/worker-config', (req, res) => {
+  try {
+    const overrides = saveWorkerConfig(req.body || {});
+    res.json({ success: true, message: 'Worker settings saved. The worker applies them within a few seconds.', overrides });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // Get default settings
 app.get('/api/settings', (req, res) => {
   try {
@@ -815,6 +829,358 @@ app.post('/api/settings', (req, res) => {
   }
 });
 
+// ---------- Jobs ----------
+// JSON text columns → values (null or unparsable columns give the fallback)
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Job row → list entry (sender/subject come from the stored email payload;
+// folderName from the watch the job came from)
+function toJobSummary(job, watches = loadWatches()) {
+  const email = parseJsonColumn(job.payload, {});
+  const watch = watches.find(w => w.id === job.watch_id);
+  return {
+    id: job.id,
+    msgId: job.msg_id,
+    graphMsgId: job.graph_msg_id || null,
+    source: job.source,
+    mailbox: job.mailbox,
+    folderId: job.folder_id,
+    watchId: job.watch_id,
+    folderName: watch ? watch.folderName : job.folder_id,
+    status: job.status,
+    attempts: job.attempts,
+    from: email.from || '',
+    subject: email.subject || '',
+    lastError: job.last_error,
+    nextRunAt: job.next_run_at,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+// List jobs: ?status=error,dead&since=2024-01-01&until=2024-01-31&sender=coles&watch=<watch id>&limit=100&offset=0
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { status, since, until, sender, watch, limit, offset } = req.query;
+    const { jobs, total } = listJobs({ status, since, until, sender, watch, limit, offset });
+    const watches = loadWatches();
+    res.json({ total, jobs: jobs.map(job => toJobSummary(job, watches)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one job with its stored payload and results
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({
+      ...toJobSummary(job),
+      payload: parseJsonColumn(job.payload, job.payload),
+      extractionAttempts: parseJsonColumn(job.extraction_attempts, null),
+      reviewReasons: parseJsonColumn(job.review_reasons, null),
+      reviewData: parseJsonColumn(job.review_data, null),
+      reviewedAt: job.reviewed_at,
+      completedStages: listCompletedStages(job.id)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stage history of a job: ingest, extract, build_payload, printiq_quote, reply, mark_read
+app.get('/api/jobs/:id/events', (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const events = listJobEvents(job.id).map(event => ({
+      id: event.id,
+      stage: event.stage,
+      status: event.status,
+      startedAt: event.started_at,
+      finishedAt: event.finished_at,
+      durationMs: event.duration_ms,
+      input: parseJsonColumn(event.input, null),
+      output: parseJsonColumn(event.output, null),
+      error: event.error
+    }));
+    res.json(events);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Requeue a job (pending again, attempts reset). It resumes from the first unfinished stage;
+// { reset: true } discards completed stages so it starts over (and creates a new PrintIQ quote).
+// A done or rejected job has nothing to resume and needs reset.
+app.post('/api/jobs/:id/requeue', (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const reset = Boolean(req.body && req.body.reset);
+    if (!requeueJob(job.id, { reset })) {
+      const error = ['done', 'rejected'].includes(job.status)
+        ? `Job is ${job.status}: every stage has run, so it can only be requeued with reset to start over`
+        : `Job can't be requeued while ${job.status}`;
+      return res.status(409).json({ error });
+    }
+    logger.log(`Job id=${job.id} requeued from the admin interface (was ${job.status}${reset ? ', completed stages discarded' : ''})`);
+    res.json({ success: true, job: toJobSummary(getJob(job.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel a pending, failed or held job
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!cancelJob(job.id)) {
+      return res.status(409).json({ error: `Job can't be cancelled while ${job.status}` });
+    }
+    logger.log(`Job id=${job.id} cancelled from the admin interface (was ${job.status})`);
+    res.json({ success: true, job: toJobSummary(getJob(job.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a job
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(Number(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!deleteJob(job.id)) {
+      return res.status(409).json({ error: 'Job is being processed and cannot be deleted' });
+    }
+    logger.log(`Job id=${job.id} msg_id=${job.msg_id} deleted from the admin interface`);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------- Review queue ----------
+// Job row → review item (review_data falls back to the original email payload for
+// jobs parked before review snapshots existed)
+function toReviewItem(job) {
+  const email = parseJsonColumn(job.payload, {});
+  const data = parseJsonColumn(job.review_data, null) || {
+    email: { from: email.from || '', subject: email.subject || '', text: email.text || '' },
+    extracted: null,
+    payload: null,
+    stockMappingUsed: null,
+    priceInfo: null
+  };
+  return {
+    id: job.id,
+    msgId: job.msg_id,
+    source: job.source,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    reasons: parseJsonColumn(job.review_reasons, []),
+    ...data
+  };
+}
+
+function getReviewJob(req, res) {
+  const job = getJob(Number(req.params.id));
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (job.status !== 'review') {
+    res.status(409).json({ error: `Job is not awaiting review (status: ${job.status})` });
+    return null;
+  }
+  return job;
+}
+
+// List jobs held for review
+app.get('/api/review', (req, res) => {
+  try {
+    const items = listReviewJobs().map(toReviewItem).map(item => ({
+      id: item.id,
+      source: item.source,
+      createdAt: item.createdAt,
+      from: item.email?.from || '',
+      subject: item.email?.subject || '',
+      reasons: item.reasons,
+      price: item.priceInfo?.price ?? null,
+      quoteNo: item.priceInfo?.quoteNo || ''
+    }));
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one review item: email, extracted fields, PrintIQ payload and price
+app.get('/api/review/:id', (req, res) => {
+  try {
+    const job = getReviewJob(req, res);
+    if (!job) return;
+    res.json(toReviewItem(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-quote with an edited payload (and optionally edited extracted fields for the reply)
+app.post('/api/review/:id/requote', async (req, res) => {
+  try {
+    const job = getReviewJob(req, res);
+    if (!job) return;
+
+    const item = toReviewItem(job);
+    const payload = req.body.payload || item.payload;
+    const extracted = req.body.extracted || item.extracted;
+    if (!payload || typeof payload !== 'object') {
+      return res.status(400).json({ error: 'payload is required' });
+    }
+
+    const quoteResult = await runStage(job.id, 'printiq_quote', { payload, requote: true }, () => processQuote(payload, { logDir: path.join(DATA_DIR, 'webhook-logs') }));
+    if (!quoteResult.success) {
+      return res.status(502).json({ error: quoteResult.error || 'PrintIQ quote failed' });
+    }
+
+    const reviewData = {
+      email: item.email,
+      extracted,
+      payload,
+      stockMappingUsed: item.stockMappingUsed,
+      priceInfo: quoteResult.priceInfo
+    };
+    updateReviewData(job.id, reviewData);
+    // A later requeue must reuse this quote, not the one it replaced
+    saveStageResult(job.id, 'build_payload', { final: payload, stockMappingUsed: item.stockMappingUsed });
+    saveStageResult(job.id, 'printiq_quote', quoteResult);
+    logger.log(`Review job id=${job.id} re-quoted: ${quoteResult.priceInfo?.quoteNo || 'no quote number'} price=${quoteResult.priceInfo?.price}`);
+
+    res.json({ success: true, item: toReviewItem(getJob(job.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve: send the quote reply, mark the original message read and close the job.
+// The job is claimed first ('approving'), so a second approve of the same job gets a 409
+// instead of sending the reply again.
+app.post('/api/review/:id/approve', async (req, res) => {
+  let claimedId = null;
+  try {
+    const job = getReviewJob(req, res);
+    if (!job) return;
+
+    const item = toReviewItem(job);
+    if (!item.payload || item.priceInfo?.price === undefined || item.priceInfo?.price === null) {
+      return res.status(400).json({ error: 'No PrintIQ price for this job yet. Re-quote before approving.' });
+    }
+    if (!claimReview(job.id)) {
+      return res.status(409).json({ error: 'Job is already being approved or is no longer awaiting review' });
+    }
+    claimedId = job.id;
+
+    const messageId = graphMessageId(job);
+    const mailbox = job.mailbox || (messageId ? getDefaultMailbox() : null);
+    const replyFrom = findWatch(job.watch_id)?.replyFrom || null;
+    const reply = buildQuoteReply({
+      payload: item.payload,
+      extracted: item.extracted,
+      priceInfo: item.priceInfo,
+      stockMappingUsed: item.stockMappingUsed,
+      from: item.email?.from
+    });
+    const replyResult = await resumeStage(job.id, 'reply', { messageId, mailbox, replyFrom, to: reply.to, subject: reply.subject, approved: true },
+      () => sendQuoteReply({ messageId, mailbox, replyFrom, ...reply }));
+    if (!replyResult.ok) {
+      releaseReview(job.id);
+      return res.status(502).json({ error: 'Failed to send reply', replyResult });
+    }
+
+    // The reply is out: close the job even if marking the message read fails,
+    // so it can't be approved (and sent) twice
+    let warning = null;
+    if (messageId) {
+      try {
+        await resumeStage(job.id, 'mark_read', { mailbox, messageId }, async () => {
+          const token = await getGraphAccessToken();
+          await markMessageAsRead(token, mailbox, messageId);
+          return { ok: true };
+        });
+      } catch (errMark) {
+        warning = `Reply sent but the message could not be marked read: ${errMark.message}`;
+        logger.warn(`Review job id=${job.id}: ${warning}`);
+      }
+    }
+
+    resolveReview(job.id, 'done');
+    logger.log(`Review job id=${job.id} approved, reply sent (threaded: ${Boolean(replyResult.threaded)})`);
+    claimedId = null;
+    await applyMailActions(job, 'sent', { mailbox });
+    res.json({ success: true, replyResult, warning });
+  } catch (err) {
+    if (claimedId) releaseReview(claimedId);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reject: close the job without replying
+app.post('/api/review/:id/reject', async (req, res) => {
+  try {
+    const job = getReviewJob(req, res);
+    if (!job) return;
+
+    const note = req.body && req.body.note ? String(req.body.note) : 'Rejected in review';
+    if (!resolveReview(job.id, 'rejected', note)) {
+      return res.status(409).json({ error: 'Job is no longer awaiting review' });
+    }
+    logger.log(`Review job id=${job.id} rejected: ${note}`);
+    await applyMailActions(job, 'rejected', { mailbox: getDefaultMailbox() });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get review rules
+app.get('/api/review-rules', (req, res) => {
+  try {
+    res.json(loadReviewRules());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update review rules
+app.post('/api/review-rules', (req, res) => {
+  try {
+    const rules = saveReviewRules(req.body || {});
+    res.json({ success: true, message: 'Review rules updated successfully', rules });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get list of log files
 app.get('/api/logs/files', (req, res) => {
   try {
@@ -898,6 +1264,8 @@ app.get('/api/logs/latest/:lines?', (req, res) => {
 
 const PORT = process.env.ADMIN_PORT || 3001;
 
+recoverStuckApprovals();
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Admin interface listening on http://0.0.0.0:${PORT}`);
   console.log(`Static files served from: ${path.join(__dirname, 'public')}`);
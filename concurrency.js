@@ -0,0 +1,43 @@
+/* concurrency.js
+   Promise concurrency limiter, used to bound parallel jobs in the worker and parallel
+   calls to the LLM (LLM_CONCURRENCY) and PrintIQ (PRINTIQ_CONCURRENCY).
+*/
+
+/**
+ * Create a limiter that runs at most `max` tasks at once; further tasks wait in FIFO order
+ * @param {number} max - Maximum concurrent tasks (at least 1)
+ * @param {string} name - Label used in stats()
+ * @returns {Function} limit(fn) -> Promise of fn's result, with limit.stats() -> { name, max, active, pending }
+ */
+function createLimiter(max, name = 'limiter') {
+  const limitMax = Math.max(1, Math.floor(Number(max)) || 1);
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limitMax || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  function limit(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  }
+
+  limit.stats = () => ({ name, max: limitMax, active, pending: queue.length });
+  return limit;
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,121 @@
+/* extraction-schema.js
+   JSON Schema for the extractor output (the `extracted` object described in PROMPT_TEMPLATE)
+   and a small validator for the subset of JSON Schema it uses:
+   type, required, properties, additionalProperties, items, minimum, minLength.
+*/
+
+const KINDS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['kind', 'count'],
+    properties: {
+      kind: { type: 'string', minLength: 1 },
+      count: { type: 'number', minimum: 0 }
+    }
+  }
+};
+
+// One line item of a multi-item RFQ: the product fields, without the RFQ-wide rfq_no and delivery
+const ITEM_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'prod', 'width', 'height', 'kinds', 'print', 'stock', 'finish', 'packing', 'quantity'],
+  properties: {
+    title: { type: 'string' },
+    prod: { type: 'string' },
+    width: { type: ['number', 'null'], minimum: 0 },
+    height: { type: ['number', 'null'], minimum: 0 },
+    kinds: KINDS_SCHEMA,
+    print: { type: 'string' },
+    stock: { type: 'string' },
+    finish: { type: 'string' },
+    packing: { type: 'string' },
+    quantity: { type: 'number', minimum: 0 },
+    quantities: { type: 'array', items: { type: 'number', minimum: 0 } }
+  }
+};
+
+const EXTRACTION_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'RFQ extraction',
+  type: 'object',
+  additionalProperties: false,
+  required: ['rfq_no', 'title', 'prod', 'width', 'height', 'kinds', 'print', 'stock', 'finish', 'packing', 'delivery', 'quantity'],
+  properties: {
+    rfq_no: { type: 'string' },
+    title: { type: 'string' },
+    prod: { type: 'string' },
+    width: { type: ['number', 'null'], minimum: 0 },
+    height: { type: ['number', 'null'], minimum: 0 },
+    kinds: KINDS_SCHEMA,
+    print: { type: 'string' },
+    stock: { type: 'string' },
+    finish: { type: 'string' },
+    packing: { type: 'string' },
+    delivery: { type: 'string' },
+    quantity: { type: 'number', minimum: 0 },
+    // Quantity breaks and line items are optional so extractions stored before they were added stay valid
+    quantities: { type: 'array', items: { type: 'number', minimum: 0 } },
+    items: { type: 'array', items: ITEM_SCHEMA }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+  return typeof value;
+}
+
+function validateNode(value, schema, pointer, errors) {
+  const allowed = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : null);
+  const actual = typeOf(value);
+  if (allowed && !allowed.includes(actual)) {
+    errors.push(`${pointer || '/'}: expected ${allowed.join(' or ')}, got ${actual}${actual === 'string' ? ` ("${String(value).slice(0, 40)}")` : ''}`);
+    return;
+  }
+
+  if (actual === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${pointer}: must be >= ${schema.minimum}, got ${value}`);
+  }
+
+  if (actual === 'string' && typeof schema.minLength === 'number' && value.trim().length < schema.minLength) {
+    errors.push(`${pointer}: must not be empty`);
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${pointer}/${index}`, errors));
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${pointer}/${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${pointer}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}/${key}: unexpected field`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate an extractor object against EXTRACTION_SCHEMA
+ * @param {*} extracted - Parsed extractor output
+ * @returns {string[]} Validation errors as "/json/pointer: message" (empty when valid)
+ */
+function validateExtraction(extracted, schema = EXTRACTION_SCHEMA) {
+  const errors = [];
+  validateNode(extracted, schema, '', errors);
+  return errors;
+}
+
+module.exports = {
+  EXTRACTION_SCHEMA,
+  validateExtraction
+};
@@ -0,0 +1,248 @@
+/* fake-printiq-server.js
+   Local stand-in for PrintIQ, so the whole email → quote → reply path runs without network
+   access or a PrintIQ account. It implements the routes printiq-client.js uses:
+
+     POST /api/QuoteProcess/GetApplicationLogInToken  - any credentials; returns a quoted token
+     POST /api/QuoteProcess/GetPrice?LoginToken=      - QuoteDetails priced from the payload
+     GET  /api/v1/odata/Processes                     - sample process types (paged)
+     GET  /api/v1/odata/StockDefinitions              - sample stock definitions (paged)
+
+   Run it with `npm run fake-printiq` and point the services at it:
+     PRINTIQ_BASE_URL=http://localhost:3999  (PRINTIQ_ODATA_URL follows it)
+
+   Settings (env, or POST /__fake/settings with the camelCase names while it runs):
+     FAKE_PRINTIQ_PORT        - port (default 3999)
+     FAKE_PRINTIQ_SETUP_PRICE - fixed price per kind (default 45)
+     FAKE_PRINTIQ_UNIT_PRICE  - price per A4-sized copy (default 0.12), scaled by the finished size
+     FAKE_PRINTIQ_TAX_RATE    - GST rate (default 0.1)
+     FAKE_PRINTIQ_LATENCY_MS  - delay before every answer (default 0)
+     FAKE_PRINTIQ_ERROR       - ErrorMessage for GetPrice answers with IsError: true
+     FAKE_PRINTIQ_ERROR_RATE  - share of GetPrice calls that fail (0-1; default 1 when
+                                FAKE_PRINTIQ_ERROR is set, else 0)
+     FAKE_PRINTIQ_MAX_QUANTITY - GetPrice fails above this quantity (default no limit)
+     FAKE_PRINTIQ_ACCESS_TOKEN - OData token to require (default: any non-empty token)
+   POST /__fake/reset forgets issued tokens and quotes; GET /__fake/state shows the counters.
+*/
+require('dotenv').config();
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+const ODATA_PAGE_SIZE = 50;
+const A4_AREA = 210 * 297;
+
+const SAMPLE_PROCESSES = [
+  'None',
+  'Standard/Heavy CMYK (160sqm/hr)',
+  'Standard CMYK (250sqm/hr)',
+  'CMYK + Gloss Varnish',
+  'Digital CMYK',
+  'Digital Black Only',
+  'White Ink Underbase'
+].map((Description, i) => ({ ProcessID: i + 1, Description }));
+
+const SAMPLE_STOCKS = [
+  ['100gsm laser', '100gsm Laser Bond'],
+  ['150gsm gloss', '150gsm Gloss Art Paper'],
+  ['250gsm gloss', '250gsm Gloss Art Board'],
+  ['300gsm hibulk', '300gsm Hi-Bulk Art Board'],
+  ['400gsm pearl', '400gsm Pearl Artboard'],
+  ['5mm corflute', '5mm White Corflute'],
+  ['3mm foamed pvc', '3mm Foamed PVC'],
+  ['synthetic 200', '200um Synthetic Paper']
+].map(([Code, Description], i) => ({ StockDefinitionID: i + 1, Code, Description }));
+
+function settingsFromEnv(env = process.env) {
+  const error = env.FAKE_PRINTIQ_ERROR || '';
+  return {
+    setupPrice: Number(env.FAKE_PRINTIQ_SETUP_PRICE || 45),
+    unitPrice: Number(env.FAKE_PRINTIQ_UNIT_PRICE || 0.12),
+    taxRate: Number(env.FAKE_PRINTIQ_TAX_RATE || 0.1),
+    latencyMs: Number(env.FAKE_PRINTIQ_LATENCY_MS || 0),
+    error,
+    errorRate: Number(env.FAKE_PRINTIQ_ERROR_RATE || (error ? 1 : 0)),
+    maxQuantity: Number(env.FAKE_PRINTIQ_MAX_QUANTITY || 0),
+    accessToken: env.FAKE_PRINTIQ_ACCESS_TOKEN || ''
+  };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Price one quantity of the payload's product: setup per kind plus a per-copy price scaled
+// by the finished size relative to A4. Like PrintIQ, Price is the unit price (ex tax);
+// multi-kind (AdvancedKinds) payloads get a price per kind as well.
+function priceQuantity(payload, quantity, settings) {
+  const product = payload.CustomProduct || {};
+  const advancedKinds = payload.SelectedQuantity?.AdvancedKinds?.Kinds || [];
+  const kinds = advancedKinds.length || Number(payload.SelectedQuantity?.Kinds || 1);
+  const area = Number(product.FinishSizeWidth || 210) * Number(product.FinishSizeHeight || 297);
+  const sizeFactor = Math.max(area / A4_AREA, 0.05);
+  const sides = (product.Sections || []).some(s => s.ProcessReverse && s.ProcessReverse !== 'None') ? 1.6 : 1;
+  const priceCopies = copies => settings.unitPrice * copies * sizeFactor * sides;
+
+  const total = round2(settings.setupPrice * kinds + priceCopies(quantity));
+  const tax = round2(total * settings.taxRate);
+  const priced = {
+    Quantity: quantity,
+    QuantityToDisplay: String(quantity),
+    Kinds: kinds,
+    Price: Math.round(total / quantity * 10000) / 10000,
+    TotalPrice: total,
+    Tax: tax,
+    TotalPriceIncTax: round2(total + tax),
+    Freight: 0
+  };
+  if (advancedKinds.length > 0) {
+    priced.KindPrices = advancedKinds.map(kind => {
+      const kindQty = Number(kind.Quantity) || 0;
+      const kindTotal = round2(settings.setupPrice + priceCopies(kindQty));
+      return { KindName: kind.Name, Quantity: kindQty, Price: kindQty ? Math.round(kindTotal / kindQty * 10000) / 10000 : 0, TotalPrice: kindTotal };
+    });
+  }
+  return priced;
+}
+
+function quoteError(message) {
+  return { IsError: true, ErrorMessage: message, QuoteDetails: null };
+}
+
+/**
+ * Build the fake PrintIQ app
+ * @param {Object} overrides - settings to use instead of the FAKE_PRINTIQ_* env values
+ * @returns {Object} express app; app.locals.fake holds { settings, tokens, quotes, logins }
+ */
+function createFakePrintIQApp(overrides = {}) {
+  const fake = { settings: { ...settingsFromEnv(), ...overrides }, tokens: new Set(), quotes: [], logins: 0 };
+  const app = express();
+  app.locals.fake = fake;
+  app.use(express.json({ limit: '10mb' }));
+
+  app.use((req, res, next) => {
+    if (!fake.settings.latencyMs || req.path.startsWith('/__fake')) return next();
+    setTimeout(next, fake.settings.latencyMs);
+  });
+
+  app.post('/api/QuoteProcess/GetApplicationLogInToken', (req, res) => {
+    fake.logins++;
+    const token = uuidv4().replace(/-/g, '');
+    fake.tokens.add(token);
+    // PrintIQ answers with the token as a JSON string
+    res.json(`"${token}"`);
+  });
+
+  app.post('/api/QuoteProcess/GetPrice', (req, res) => {
+    const payload = req.body || {};
+    if (!fake.tokens.has(String(req.query.LoginToken || ''))) {
+      return res.json(quoteError('Login token is invalid or expired'));
+    }
+    if (fake.settings.errorRate > 0 && Math.random() < fake.settings.errorRate) {
+      return res.json(quoteError(fake.settings.error || 'Unable to price this product'));
+    }
+    const quantity = Number(payload.SelectedQuantity?.Quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return res.json(quoteError('SelectedQuantity.Quantity must be greater than zero'));
+    }
+    if (fake.settings.maxQuantity && quantity > fake.settings.maxQuantity) {
+      return res.json(quoteError(`Quantity exceeds the maximum for this product (${fake.settings.maxQuantity})`));
+    }
+    if (!Array.isArray(payload.CustomProduct?.Sections) || payload.CustomProduct.Sections.length === 0) {
+      return res.json(quoteError('CustomProduct must have at least one section'));
+    }
+
+    const quoteId = 10000 + fake.quotes.length + 1;
+    const details = {
+      QuoteID: quoteId,
+      QuoteNo: `Q${quoteId}`,
+      CustomerCode: payload.CustomerCode || null,
+      JobTitle: payload.JobTitle || '',
+      Products: [{
+        ProductDescription: payload.JobTitle || payload.CustomProduct.ProductCategory || 'Custom product',
+        Quantities: [priceQuantity(payload, quantity, fake.settings)]
+      }]
+    };
+    fake.quotes.push({ payload, details });
+    res.json({ IsError: false, ErrorMessage: null, QuoteDetails: details });
+  });
+
+  // OData: a bad token gets an HTML login page, like PrintIQ does
+  function odataList(rows) {
+    return (req, res) => {
+      const token = req.get('PrintIQ-Access-Token') || '';
+      if (!token || (fake.settings.accessToken && token !== fake.settings.accessToken)) {
+        return res.status(200).type('text/html').send('<!DOCTYPE html><html><head><title>PrintIQ - Log in</title></head><body>Please log in</body></html>');
+      }
+      const skip = Number(req.query.$skip || 0);
+      const page = rows.slice(skip, skip + ODATA_PAGE_SIZE);
+      const next = skip + ODATA_PAGE_SIZE < rows.length
+        ? { '@odata.nextLink': `${req.path.split('/').pop()}?$skip=${skip + ODATA_PAGE_SIZE}` }
+        : {};
+      res.json({ '@odata.context': `$metadata#${req.path.split('/').pop()}`, value: page, ...next });
+    };
+  }
+  app.get('/api/v1/odata/Processes', odataList(SAMPLE_PROCESSES));
+  app.get('/api/v1/odata/StockDefinitions', odataList(SAMPLE_STOCKS));
+
+  // Test controls
+  app.post('/__fake/settings', (req, res) => {
+    const changes = { ...(req.body || {}) };
+    // Setting an error without a rate fails every call, as with the env variables
+    if ('error' in changes && !('errorRate' in changes)) changes.errorRate = changes.error ? 1 : 0;
+    Object.assign(fake.settings, changes);
+    res.json(fake.settings);
+  });
+  app.post('/__fake/reset', (req, res) => {
+    fake.tokens.clear();
+    fake.quotes = [];
+    fake.logins = 0;
+    res.json({ ok: true });
+  });
+  app.get('/__fake/state', (req, res) => {
+    res.json({ settings: fake.settings, logins: fake.logins, quotes: fake.quotes.length });
+  });
+
+  return app;
+}
+
+/**
+ * Start the fake server. The URL is known straight away, so callers can set
+ * PRINTIQ_BASE_URL before requiring the PrintIQ client.
+ * @param {Object} options - { port (default FAKE_PRINTIQ_PORT or 3999), ...settings }
+ * @returns {Object} { server, url, fake }
+ */
+function startFakePrintIQ({ port = Number(process.env.FAKE_PRINTIQ_PORT || 3999), ...overrides } = {}) {
+  const app = createFakePrintIQApp(overrides);
+  const server = app.listen(port, '127.0.0.1');
+  return { server, url: `http://127.0.0.1:${port}`, fake: app.locals.fake };
+}
+
+/**
+ * Start the fake server and point this process's PrintIQ settings at it. Call it before
+ * printiq-client.js (or quote-processor.js) is required, as the client reads them on load.
+ * The server does not keep the process alive.
+ * @returns {Object} { server, url, fake }
+ */
+function useFakePrintIQ(options = {}) {
+  const started = startFakePrintIQ(options);
+  started.server.unref();
+  process.env.PRINTIQ_BASE_URL = started.url;
+  delete process.env.PRINTIQ_ODATA_URL;
+  process.env.PRINTIQ_ACCESS_TOKEN = started.fake.settings.accessToken || process.env.PRINTIQ_ACCESS_TOKEN || 'fake-access-token';
+  return started;
+}
+
+if (require.main === module) {
+  const { url, fake } = startFakePrintIQ();
+  console.log(`Fake PrintIQ listening on ${url} (setup ${fake.settings.setupPrice}, unit ${fake.settings.unitPrice}, ` +
+    `latency ${fake.settings.latencyMs}ms, error rate ${fake.settings.errorRate})`);
+  console.log(`Use PRINTIQ_BASE_URL=${url}`);
+}
+
+module.exports = {
+  SAMPLE_PROCESSES,
+  SAMPLE_STOCKS,
+  priceQuantity,
+  createFakePrintIQApp,
+  startFakePrintIQ,
+  useFakePrintIQ
+};
@@ -0,0 +1,178 @@
+/* graph-subscriptions.js
+   Optional push mode: Graph change-notification subscriptions on the watched mail folders.
+
+   Set GRAPH_NOTIFICATION_URL to the public URL of the webhook server's
+   /webhook/graph-notifications route to turn it on. The worker then keeps one subscription
+   per folder (created, renewed before it expires, removed when the folder is no longer
+   watched), and each notification queues a job by message id with no payload; the worker
+   fetches the message when it runs the job. Mailbox polling stays on as a slower catch-up
+   for missed notifications (PUSH_CATCHUP_INTERVAL_MS).
+
+   Other settings:
+     GRAPH_SUBSCRIPTION_MINUTES       - lifetime requested for a subscription (default 2880;
+                                        Graph allows at most 10080 for messages)
+     GRAPH_SUBSCRIPTION_RENEW_MINUTES - renew once less than this is left (default 720)
+     GRAPH_CLIENT_STATE               - fixed clientState secret (default: random per subscription)
+*/
+require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+
+const { createSubscription, renewSubscription, deleteSubscription } = require('./ms-graph-mail');
+const {
+  insertJob,
+  listSubscriptions,
+  getSubscription,
+  saveSubscription,
+  deleteSubscriptionRecord
+} = require('./job-store');
+const { findWatchByFolder } = require('./watch-config');
+const logger = require('./logger');
+
+const GRAPH_NOTIFICATION_URL = process.env.GRAPH_NOTIFICATION_URL || '';
+const SUBSCRIPTION_MINUTES = Number(process.env.GRAPH_SUBSCRIPTION_MINUTES || 2880);
+const RENEW_MINUTES = Number(process.env.GRAPH_SUBSCRIPTION_RENEW_MINUTES || 720);
+const GRAPH_CLIENT_STATE = process.env.GRAPH_CLIENT_STATE || '';
+
+function isPushEnabled() {
+  return !!GRAPH_NOTIFICATION_URL;
+}
+
+function folderResource(mailbox, folderId) {
+  const folderPath = folderId.includes('/') ? folderId : `mailFolders('${folderId}')`;
+  return `users/${mailbox}/${folderPath}/messages`;
+}
+
+function expirationFrom(now) {
+  return new Date(now + SUBSCRIPTION_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Bring the stored subscriptions in line with the watched folders: create missing ones,
+ * renew those close to expiry and delete those for folders no longer watched.
+ * A Graph token is only requested when something has to change.
+ * @param {Object} options - { getToken: async () => token, folders: [{ mailbox, folderId }], now }
+ * @returns {Promise<Object>} { ok, created, renewed, removed } — ok is false when a folder has
+ *   no working subscription
+ */
+async function syncSubscriptions({ getToken, folders, now = Date.now() }) {
+  let token = null;
+  const accessToken = async () => token || (token = await getToken());
+  const stored = listSubscriptions();
+  const keep = new Set();
+  const summary = { ok: true, created: 0, renewed: 0, removed: 0 };
+
+  for (const { mailbox, folderId } of folders) {
+    const existing = stored.find(sub => sub.mailbox === mailbox && sub.folder_id === folderId && !keep.has(sub.id));
+    try {
+      if (existing) {
+        const msLeft = Date.parse(existing.expiration) - now;
+        if (msLeft > RENEW_MINUTES * 60 * 1000) {
+          keep.add(existing.id);
+          continue;
+        }
+        try {
+          const renewed = await renewSubscription(await accessToken(), existing.id, expirationFrom(now));
+          saveSubscription({ ...existing, folderId, clientState: existing.client_state, expiration: renewed.expirationDateTime });
+          keep.add(existing.id);
+          summary.renewed++;
+          logger.log(`Graph subscription ${existing.id} renewed for ${mailbox} / ${folderId} until ${renewed.expirationDateTime}`);
+          continue;
+        } catch (err) {
+          // Expired or removed on Graph's side: replace it
+          if (err.status !== 404) throw err;
+          logger.warn(`Graph subscription ${existing.id} no longer exists, creating a new one`);
+          deleteSubscriptionRecord(existing.id);
+        }
+      }
+
+      const clientState = GRAPH_CLIENT_STATE || uuidv4();
+      const created = await createSubscription(await accessToken(), {
+        changeType: 'created',
+        notificationUrl: GRAPH_NOTIFICATION_URL,
+        resource: folderResource(mailbox, folderId),
+        expirationDateTime: expirationFrom(now),
+        clientState
+      });
+      saveSubscription({ id: created.id, mailbox, folderId, clientState, expiration: created.expirationDateTime });
+      keep.add(created.id);
+      summary.created++;
+      logger.log(`Graph subscription ${created.id} created for ${mailbox} / ${folderId} until ${created.expirationDateTime}`);
+    } catch (err) {
+      summary.ok = false;
+      logger.error(`Graph subscription for ${mailbox} / ${folderId} failed: ${err.message}`);
+    }
+  }
+
+  for (const sub of stored) {
+    if (keep.has(sub.id) || !getSubscription(sub.id)) continue;
+    try {
+      await deleteSubscription(await accessToken(), sub.id);
+    } catch (err) {
+      if (err.status !== 404) {
+        logger.warn(`Graph subscription ${sub.id} could not be deleted: ${err.message}`);
+      }
+    }
+    deleteSubscriptionRecord(sub.id);
+    summary.removed++;
+    logger.log(`Graph subscription ${sub.id} removed (${sub.mailbox} / ${sub.folder_id} no longer watched)`);
+  }
+
+  return summary;
+}
+
+/**
+ * Queue a job for each valid change notification. Notifications for unknown subscriptions
+ * or with the wrong clientState are ignored; messages already queued are not queued twice.
+ * @param {Array} notifications - The `value` array of a Graph notification POST
+ * @returns {Object} { queued, ignored }
+ */
+function queueNotifications(notifications) {
+  const result = { queued: 0, ignored: 0 };
+
+  for (const notification of notifications) {
+    const sub = getSubscription(notification.subscriptionId);
+    if (!sub || sub.client_state !== notification.clientState) {
+      logger.warn(`Graph notification ignored: unknown subscription or clientState mismatch (subscription ${notification.subscriptionId})`);
+      result.ignored++;
+      continue;
+    }
+
+    const msgId = notification.resourceData?.id;
+    if (!msgId || notification.changeType !== 'created') {
+      result.ignored++;
+      continue;
+    }
+
+    const watch = findWatchByFolder(sub.mailbox, sub.folder_id);
+    if (insertJob({ msgId, payload: null, source: 'graph', mailbox: sub.mailbox, folderId: sub.folder_id, watchId: watch?.id || null })) {
+      logger.log(`Graph notification queued: msg_id=${msgId} (${sub.mailbox} / ${sub.folder_id})`);
+      result.queued++;
+    }
+  }
+
+  return result;
+}
+
+// Express handler for POST /webhook/graph-notifications.
+// Graph first checks the URL with ?validationToken=..., which must be echoed as plain text.
+function handleNotificationRequest(req, res) {
+  if (req.query.validationToken) {
+    return res.status(200).type('text/plain').send(String(req.query.validationToken));
+  }
+
+  try {
+    const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+    res.status(202).json(queueNotifications(notifications));
+  } catch (err) {
+    logger.error("Graph notification error:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = {
+  GRAPH_NOTIFICATION_URL,
+  isPushEnabled,
+  syncSubscriptions,
+  queueNotifications,
+  handleNotificationRequest
+};
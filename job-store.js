@@ -0,0 +1,632 @@
+/* job-store.js
+   SQLite-backed jobs queue shared by the worker and the inbound SMTP server.
+   Owns the schema (and its migrations) and the job state transitions:
+   pending -> processing -> done | error (retried with backoff) | dead
+                         -> review (held for a human) -> approving (reply being sent) -> done
+                                                      -> rejected
+   A job cut off by a worker shutdown goes back to pending, not before next_run_at.
+   Operators can also cancel pending/failed jobs ('cancelled') and requeue finished ones
+   from the admin Jobs tab.
+   Each pipeline stage a job goes through (ingest, extract, build_payload, printiq_quote,
+   reply, mark_read) is recorded in job_events with its timings, input and output.
+   The result of each stage that completed is also kept in job_stages, so a retried job
+   resumes from the first unfinished stage (no second model call, no second PrintIQ quote,
+   no second reply).
+   mail_sync_state keeps the Graph delta link per mailbox folder (see mail-sync.js), and
+   graph_subscriptions the change-notification subscriptions (see graph-subscriptions.js).
+   Jobs queued from a change notification have no payload yet; the worker fetches the
+   message and stores it with updateJobPayload.
+*/
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const RETRY_BASE_DELAY_MS = Number(process.env.RETRY_BASE_DELAY_MS || 60000); // first retry after 1 minute
+const RETRY_MAX_DELAY_MS = Number(process.env.RETRY_MAX_DELAY_MS || 3600000); // never wait more than 1 hour
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const DB_FILE = path.join(DATA_DIR, 'db.sqlite');
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+// The worker and the SMTP server write to the same file from separate processes
+db.pragma('busy_timeout = 5000');
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  msg_id TEXT UNIQUE,
+  status TEXT,
+  payload TEXT,
+  created_at TEXT
+);
+`);
+
+// Add columns to databases created by older versions
+function addMissingColumns(table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+addMissingColumns('jobs', {
+  attempts: 'INTEGER NOT NULL DEFAULT 0',
+  last_error: 'TEXT',
+  next_run_at: 'TEXT',
+  updated_at: 'TEXT',
+  // where the job came from: 'graph' (mailbox poll) or 'smtp' (inbound SMTP)
+  source: `TEXT NOT NULL DEFAULT 'graph'`,
+  // JSON array of extraction attempts and their validation errors (latest run)
+  extraction_attempts: 'TEXT',
+  // JSON array of reasons the job was held for review
+  review_reasons: 'TEXT',
+  // JSON snapshot shown in the review queue: email, extracted fields, payload, price
+  review_data: 'TEXT',
+  reviewed_at: 'TEXT',
+  // Graph jobs: the watched mailbox folder the message came from (see watch-config.js)
+  mailbox: 'TEXT',
+  folder_id: 'TEXT',
+  watch_id: 'TEXT',
+  // Graph message id: set when the job is queued (Graph jobs, and webhook jobs whose request
+  // carried one) and updated after a post-processing move (see mail-actions.js). msg_id is
+  // only the dedupe key: a Graph id, an SMTP Message-ID or a generated webhook id.
+  graph_msg_id: 'TEXT'
+});
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS job_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id INTEGER NOT NULL,
+  stage TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at TEXT,
+  finished_at TEXT,
+  duration_ms INTEGER,
+  input TEXT,
+  output TEXT,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_job_events_job_id ON job_events (job_id);
+
+CREATE TABLE IF NOT EXISTS job_stages (
+  job_id INTEGER NOT NULL,
+  stage TEXT NOT NULL,
+  result TEXT,
+  completed_at TEXT,
+  PRIMARY KEY (job_id, stage)
+);
+
+CREATE TABLE IF NOT EXISTS mail_sync_state (
+  mailbox TEXT NOT NULL,
+  folder_id TEXT NOT NULL,
+  delta_link TEXT,
+  since TEXT,
+  started_at TEXT,
+  updated_at TEXT,
+  PRIMARY KEY (mailbox, folder_id)
+);
+
+CREATE TABLE IF NOT EXISTS graph_subscriptions (
+  id TEXT PRIMARY KEY,
+  mailbox TEXT NOT NULL,
+  folder_id TEXT NOT NULL,
+  client_state TEXT,
+  expiration TEXT,
+  created_at TEXT,
+  updated_at TEXT
+);
+`);
+
+// Mailboxes are stored lower-case, as watch-config.js normalizes them. Delta links and
+// subscriptions saved under a mixed-case EMAIL_FROM by older versions are moved over, so an
+// upgrade keeps syncing where it left off (a lower-case row already there wins).
+db.exec(`
+UPDATE OR IGNORE mail_sync_state SET mailbox = lower(mailbox) WHERE mailbox <> lower(mailbox);
+DELETE FROM mail_sync_state WHERE mailbox <> lower(mailbox);
+UPDATE graph_subscriptions SET mailbox = lower(mailbox) WHERE mailbox <> lower(mailbox);
+`);
+
+const JOB_STAGES = ['ingest', 'extract', 'build_payload', 'printiq_quote', 'reply', 'mark_read', 'mail_actions'];
+
+// Prepared statements
+const insertJobStmt = db.prepare(`
+INSERT OR IGNORE INTO jobs (msg_id, status, payload, source, mailbox, folder_id, watch_id, graph_msg_id, created_at, updated_at)
+VALUES (@msg_id, @status, @payload, @source, @mailbox, @folder_id, @watch_id, @graph_msg_id, datetime('now'), datetime('now'))
+`);
+
+const markJobDoneStmt = db.prepare(`UPDATE jobs SET status='done', last_error=NULL, next_run_at=NULL, updated_at=datetime('now') WHERE id=?`);
+const markJobRetryStmt = db.prepare(`
+UPDATE jobs SET status='error', attempts=@attempts, last_error=@last_error,
+  next_run_at=datetime('now', @delay), updated_at=datetime('now')
+WHERE id=@id
+`);
+const markJobDeadStmt = db.prepare(`
+UPDATE jobs SET status='dead', attempts=@attempts, last_error=@last_error,
+  next_run_at=NULL, updated_at=datetime('now')
+WHERE id=@id
+`);
+const markJobReviewStmt = db.prepare(`
+UPDATE jobs SET status='review', review_reasons=@review_reasons, review_data=@review_data,
+  next_run_at=NULL, updated_at=datetime('now')
+WHERE id=@id
+`);
+const setReviewDataStmt = db.prepare(`UPDATE jobs SET review_data=?, updated_at=datetime('now') WHERE id=? AND status='review'`);
+const claimReviewStmt = db.prepare(`UPDATE jobs SET status='approving', updated_at=datetime('now') WHERE id=? AND status='review'`);
+const releaseReviewStmt = db.prepare(`UPDATE jobs SET status='review', updated_at=datetime('now') WHERE id=? AND status='approving'`);
+const resolveReviewStmt = db.prepare(`
+UPDATE jobs SET status=@status, last_error=@last_error, reviewed_at=datetime('now'), updated_at=datetime('now')
+WHERE id=@id AND status=@from
+`);
+const insertJobEventStmt = db.prepare(`
+INSERT INTO job_events (job_id, stage, status, started_at, finished_at, duration_ms, input, output, error)
+VALUES (@job_id, @stage, @status, @started_at, @finished_at, @duration_ms, @input, @output, @error)
+`);
+const listJobEventsStmt = db.prepare(`SELECT * FROM job_events WHERE job_id=? ORDER BY id`);
+const deleteJobEventsStmt = db.prepare(`DELETE FROM job_events WHERE job_id=?`);
+const saveStageResultStmt = db.prepare(`
+INSERT INTO job_stages (job_id, stage, result, completed_at) VALUES (?, ?, ?, datetime('now'))
+ON CONFLICT (job_id, stage) DO UPDATE SET result=excluded.result, completed_at=excluded.completed_at
+`);
+const getStageResultStmt = db.prepare(`SELECT result FROM job_stages WHERE job_id=? AND stage=?`);
+const listStageResultsStmt = db.prepare(`SELECT stage, completed_at FROM job_stages WHERE job_id=?`);
+const clearStageResultsStmt = db.prepare(`DELETE FROM job_stages WHERE job_id=?`);
+const getSyncStateStmt = db.prepare(`SELECT * FROM mail_sync_state WHERE mailbox=? AND folder_id=?`);
+const saveSyncStateStmt = db.prepare(`
+INSERT INTO mail_sync_state (mailbox, folder_id, delta_link, since, started_at, updated_at)
+VALUES (@mailbox, @folder_id, @delta_link, @since, @started_at, datetime('now'))
+ON CONFLICT (mailbox, folder_id) DO UPDATE SET delta_link=excluded.delta_link, since=excluded.since,
+  started_at=excluded.started_at, updated_at=excluded.updated_at
+`);
+const listSubscriptionsStmt = db.prepare(`SELECT * FROM graph_subscriptions ORDER BY created_at`);
+const getSubscriptionStmt = db.prepare(`SELECT * FROM graph_subscriptions WHERE id=?`);
+const saveSubscriptionStmt = db.prepare(`
+INSERT INTO graph_subscriptions (id, mailbox, folder_id, client_state, expiration, created_at, updated_at)
+VALUES (@id, @mailbox, @folder_id, @client_state, @expiration, datetime('now'), datetime('now'))
+ON CONFLICT (id) DO UPDATE SET expiration=excluded.expiration, updated_at=excluded.updated_at
+`);
+const deleteSubscriptionStmt = db.prepare(`DELETE FROM graph_subscriptions WHERE id=?`);
+const updateJobPayloadStmt = db.prepare(`UPDATE jobs SET payload=?, updated_at=datetime('now') WHERE id=?`);
+const updateJobMessageIdStmt = db.prepare(`UPDATE jobs SET graph_msg_id=?, updated_at=datetime('now') WHERE id=?`);
+const getJobStmt = db.prepare(`SELECT * FROM jobs WHERE id=?`);
+const listReviewJobsStmt = db.prepare(`SELECT * FROM jobs WHERE status='review' ORDER BY id`);
+const requeueJobStmt = db.prepare(`
+UPDATE jobs SET status='pending', attempts=0, last_error=NULL, next_run_at=NULL, updated_at=datetime('now')
+WHERE id=@id AND status NOT IN ('pending', 'processing', 'approving')
+  AND (@reset = 1 OR status NOT IN ('done', 'rejected'))
+`);
+const cancelJobStmt = db.prepare(`
+UPDATE jobs SET status='cancelled', next_run_at=NULL, updated_at=datetime('now')
+WHERE id=? AND status IN ('pending', 'error', 'review')
+`);
+const deleteJobStmt = db.prepare(`DELETE FROM jobs WHERE id=? AND status NOT IN ('processing', 'approving')`);
+const setExtractionAttemptsStmt = db.prepare(`UPDATE jobs SET extraction_attempts=?, updated_at=datetime('now') WHERE id=?`);
+const resetProcessingToPendingStmt = db.prepare(`UPDATE jobs SET status='pending' WHERE status='processing'`);
+const markJobInterruptedStmt = db.prepare(`
+UPDATE jobs SET status='pending', last_error=@last_error, next_run_at=datetime('now', @delay), updated_at=datetime('now')
+WHERE id=@id AND status='processing'
+`);
+
+/**
+ * Insert a pending job. Duplicate msg_ids are ignored.
+ * @param {Object} job - { msgId, payload, source, mailbox, folderId, watchId, graphMsgId }
+ *   graphMsgId is the Graph message id of a non-Graph job (default: msgId for 'graph' jobs)
+ * @returns {boolean} true if a new row was inserted
+ */
+function insertJob({ msgId, payload, source = 'graph', mailbox = null, folderId = null, watchId = null, graphMsgId = null }) {
+  const startedAt = new Date();
+  const info = insertJobStmt.run({
+    msg_id: msgId,
+    status: 'pending',
+    payload: payload == null || typeof payload === 'string' ? payload : JSON.stringify(payload),
+    source,
+    mailbox,
+    folder_id: folderId,
+    watch_id: watchId,
+    graph_msg_id: graphMsgId || (source === 'graph' ? msgId : null)
+  });
+  if (info.changes === 0) return false;
+
+  let email = payload;
+  if (typeof payload === 'string') {
+    try {
+      email = JSON.parse(payload);
+    } catch (err) {
+      email = null;
+    }
+  }
+  recordJobEvent({
+    jobId: Number(info.lastInsertRowid),
+    stage: 'ingest',
+    status: 'ok',
+    startedAt,
+    input: { source, msgId, ...(watchId ? { mailbox, folderId, watchId } : {}) },
+    output: { from: email?.from, subject: email?.subject, attachments: (email?.attachments || []).length }
+  });
+  return true;
+}
+
+/**
+ * Record one stage of a job's processing
+ * @param {Object} event - { jobId, stage, status ('ok'|'error'|'skipped'), startedAt, finishedAt, input, output, error }
+ */
+function recordJobEvent({ jobId, stage, status, startedAt, finishedAt = new Date(), input, output, error }) {
+  const started = startedAt ? new Date(startedAt) : finishedAt;
+  insertJobEventStmt.run({
+    job_id: jobId,
+    stage,
+    status,
+    started_at: started.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - started,
+    input: input === undefined ? null : JSON.stringify(input),
+    output: output === undefined ? null : JSON.stringify(output),
+    error: error ? (error instanceof Error ? error.message : String(error)) : null
+  });
+}
+
+// Results that report failure themselves ({ success: false } or { ok: false })
+function isFailedResult(output) {
+  return Boolean(output && (output.success === false || output.ok === false));
+}
+
+// Run fn as a recorded stage: its return value is stored as the output, a throw as the error.
+// Failed results (see isFailedResult) are recorded as errors too.
+// Without a jobId (e.g. a direct webhook call) fn just runs.
+async function runStage(jobId, stage, input, fn) {
+  if (!jobId) return fn();
+  const startedAt = new Date();
+  try {
+    const output = await fn();
+    const failed = isFailedResult(output);
+    recordJobEvent({
+      jobId,
+      stage,
+      status: failed ? 'error' : 'ok',
+      startedAt,
+      input,
+      output,
+      error: failed ? (output.error || output.reason || 'failed') : null
+    });
+    return output;
+  } catch (err) {
+    recordJobEvent({ jobId, stage, status: 'error', startedAt, input, error: err });
+    throw err;
+  }
+}
+
+function listJobEvents(jobId) {
+  return listJobEventsStmt.all(jobId);
+}
+
+// Completed stage results (job_stages)
+function saveStageResult(jobId, stage, result) {
+  saveStageResultStmt.run(jobId, stage, JSON.stringify(result === undefined ? null : result));
+}
+
+// Returns the stored result, or undefined when the stage hasn't completed
+function getStageResult(jobId, stage) {
+  const row = getStageResultStmt.get(jobId, stage);
+  return row ? JSON.parse(row.result) : undefined;
+}
+
+function listCompletedStages(jobId) {
+  return listStageResultsStmt.all(jobId);
+}
+
+function clearStageResults(jobId) {
+  clearStageResultsStmt.run(jobId);
+}
+
+/**
+ * Run a stage at most once per job. If it already completed on an earlier run, the stored
+ * result is returned (and a 'skipped' event recorded) instead of calling fn again.
+ * @param {number|null} jobId - Job id (without one fn just runs)
+ * @param {string} stage - One of JOB_STAGES
+ * @param {*} input - Stage input, stored in job_events
+ * @param {Function} fn - Does the work; its (non-failed) result is stored in job_stages
+ * @returns {Promise<*>} The stage result
+ */
+async function resumeStage(jobId, stage, input, fn) {
+  if (!jobId) return fn();
+
+  const stored = getStageResult(jobId, stage);
+  if (stored !== undefined) {
+    recordJobEvent({ jobId, stage, status: 'skipped', input, output: { resumed: true } });
+    logger.log(`Job id=${jobId}: stage ${stage} already completed, reusing its result`);
+    return stored;
+  }
+
+  const output = await runStage(jobId, stage, input, fn);
+  if (!isFailedResult(output)) saveStageResult(jobId, stage, output);
+  return output;
+}
+
+// Store the extraction attempts (and their validation errors) reported for a job run
+function recordExtractionAttempts(jobId, attempts) {
+  if (!Array.isArray(attempts)) return;
+  setExtractionAttemptsStmt.run(JSON.stringify(attempts), jobId);
+}
+
+function markJobDone(jobId) {
+  markJobDoneStmt.run(jobId);
+}
+
+// Hold a job for human review. 'review' jobs are never claimed by the worker.
+function markJobNeedsReview(job, reasons, reviewData = null) {
+  const list = Array.isArray(reasons) ? reasons : [String(reasons)];
+  markJobReviewStmt.run({
+    id: job.id,
+    review_reasons: JSON.stringify(list),
+    review_data: reviewData ? JSON.stringify(reviewData) : null
+  });
+  logger.warn(`Job id=${job.id} msg_id=${job.msg_id} needs review: ${list.join('; ')}`);
+}
+
+function getJob(jobId) {
+  return getJobStmt.get(jobId) || null;
+}
+
+function listReviewJobs() {
+  return listReviewJobsStmt.all();
+}
+
+// Replace the review snapshot (e.g. after an operator edited and re-quoted)
+function updateReviewData(jobId, reviewData) {
+  return setReviewDataStmt.run(JSON.stringify(reviewData), jobId).changes > 0;
+}
+
+// Take a review job for approval ('review' -> 'approving'). Only one caller gets true, so a
+// double-clicked approve sends one reply.
+function claimReview(jobId) {
+  return claimReviewStmt.run(jobId).changes > 0;
+}
+
+// Give a claimed job back to the review queue (the reply could not be sent)
+function releaseReview(jobId) {
+  return releaseReviewStmt.run(jobId).changes > 0;
+}
+
+// Close a review: 'done' once the claimed job's reply was sent, or 'rejected'
+function resolveReview(jobId, status, note = null) {
+  if (status !== 'done' && status !== 'rejected') {
+    throw new Error(`Invalid review outcome '${status}'`);
+  }
+  const from = status === 'done' ? 'approving' : 'review';
+  return resolveReviewStmt.run({ id: jobId, status, last_error: note, from }).changes > 0;
+}
+
+// On admin startup, return approvals cut off by a restart to the review queue. A reply that
+// did go out is stored as the job's 'reply' stage, so approving again does not resend it.
+function recoverStuckApprovals() {
+  try {
+    db.prepare(`UPDATE jobs SET status='review' WHERE status='approving'`).run();
+  } catch (err) {
+    logger.error("Failed to reset approving -> review:", err);
+  }
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { status (comma-separated), since, until (YYYY-MM-DD, inclusive), sender, limit, offset }
+ * @returns {Object} { jobs, total }
+ */
+function listJobs({ status, since, until, sender, watch, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+
+  const statuses = String(status || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (statuses.length > 0) {
+    where.push(`status IN (${statuses.map(() => '?').join(',')})`);
+    params.push(...statuses);
+  }
+  if (since) {
+    where.push(`date(created_at) >= date(?)`);
+    params.push(since);
+  }
+  if (until) {
+    where.push(`date(created_at) <= date(?)`);
+    params.push(until);
+  }
+  if (sender) {
+    // Match the text as typed: % and _ in it are not wildcards
+    where.push(`lower(json_extract(payload, '$.from')) LIKE ? ESCAPE '\\'`);
+    params.push(`%${String(sender).toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (watch) {
+    where.push(`watch_id = ?`);
+    params.push(watch);
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM jobs ${whereSql}`).get(...params).n;
+  const jobs = db.prepare(`SELECT * FROM jobs ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, Math.min(Number(limit) || 100, 500), Number(offset) || 0);
+  return { jobs, total };
+}
+
+// Put a finished, failed or cancelled job back in the queue with a fresh attempt count.
+// With reset its completed stages are discarded so it starts over. A done or rejected job has
+// no stage left to resume, so it is only requeued with reset.
+function requeueJob(jobId, { reset = false } = {}) {
+  return db.transaction(() => {
+    const requeued = requeueJobStmt.run({ id: jobId, reset: reset ? 1 : 0 }).changes > 0;
+    if (requeued && reset) clearStageResultsStmt.run(jobId);
+    return requeued;
+  })();
+}
+
+// Stop a job that hasn't run yet (or is waiting for a retry or a review)
+function cancelJob(jobId) {
+  return cancelJobStmt.run(jobId).changes > 0;
+}
+
+// Jobs being processed or approved can't be deleted
+function deleteJob(jobId) {
+  const deleted = deleteJobStmt.run(jobId).changes > 0;
+  if (deleted) {
+    deleteJobEventsStmt.run(jobId);
+    clearStageResultsStmt.run(jobId);
+  }
+  return deleted;
+}
+
+// Graph delta sync state per mailbox folder: { delta_link, since, started_at } or null
+function getSyncState(mailbox, folderId) {
+  return getSyncStateStmt.get(String(mailbox).toLowerCase(), folderId) || null;
+}
+
+function saveSyncState({ mailbox, folderId, deltaLink, since, startedAt }) {
+  saveSyncStateStmt.run({ mailbox: String(mailbox).toLowerCase(), folder_id: folderId, delta_link: deltaLink, since, started_at: startedAt });
+}
+
+// Graph change-notification subscriptions (rows as stored; expiration is an ISO date)
+function listSubscriptions() {
+  return listSubscriptionsStmt.all();
+}
+
+function getSubscription(id) {
+  return getSubscriptionStmt.get(id) || null;
+}
+
+function saveSubscription({ id, mailbox, folderId, clientState, expiration }) {
+  saveSubscriptionStmt.run({ id, mailbox: String(mailbox).toLowerCase(), folder_id: folderId, client_state: clientState, expiration });
+}
+
+function deleteSubscriptionRecord(id) {
+  return deleteSubscriptionStmt.run(id).changes > 0;
+}
+
+// Remember the message's new Graph id after it was moved to another folder
+function updateJobMessageId(jobId, graphMsgId) {
+  updateJobMessageIdStmt.run(graphMsgId, jobId);
+}
+
+// Store the email for a job that was queued without one (change notifications)
+function updateJobPayload(jobId, payload) {
+  updateJobPayloadStmt.run(JSON.stringify(payload), jobId);
+}
+
+// Exponential backoff: base, 2x base, 4x base ... capped at RETRY_MAX_DELAY_MS
+function retryDelayMs(attempts) {
+  const delay = RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+// Record a failed attempt. The job is rescheduled with backoff, or moved to the
+// terminal 'dead' state once JOB_MAX_ATTEMPTS has been reached. Returns the new status.
+function markJobError(job, reason) {
+  const attempts = (job.attempts || 0) + 1;
+  const lastError = reason instanceof Error ? reason.message : String(reason || 'unknown error');
+
+  if (attempts >= JOB_MAX_ATTEMPTS) {
+    markJobDeadStmt.run({ id: job.id, attempts, last_error: lastError });
+    logger.error(`Job id=${job.id} msg_id=${job.msg_id} is dead after ${attempts} attempt(s): ${lastError}`);
+    return 'dead';
+  }
+
+  const delaySeconds = Math.round(retryDelayMs(attempts) / 1000);
+  markJobRetryStmt.run({ id: job.id, attempts, last_error: lastError, delay: `+${delaySeconds} seconds` });
+  logger.warn(`Job id=${job.id} msg_id=${job.msg_id} failed (attempt ${attempts}/${JOB_MAX_ATTEMPTS}), retrying in ${delaySeconds}s: ${lastError}`);
+  return 'error';
+}
+
+// Claiming logic: atomically grab a batch of pending job ids (plus failed jobs whose
+// backoff has elapsed) and mark them 'processing'. A pending job with a next_run_at
+// (interrupted by a shutdown) waits for it too.
+function claimAndGetJobs(limit) {
+  const tx = db.transaction((lim) => {
+    const rows = db.prepare(`
+      SELECT id FROM jobs
+      WHERE status IN ('pending', 'error') AND (next_run_at IS NULL OR next_run_at <= datetime('now'))
+      ORDER BY id LIMIT ?
+    `).all(lim);
+    const ids = rows.map(r => r.id);
+    if (ids.length === 0) return [];
+
+    const placeholders = ids.map(() => '?').join(',');
+    db.prepare(`UPDATE jobs SET status='processing', updated_at=datetime('now') WHERE id IN (${placeholders})`).run(...ids);
+
+    const claimed = db.prepare(`SELECT * FROM jobs WHERE id IN (${placeholders}) ORDER BY id`).all(...ids);
+    return claimed;
+  });
+
+  return tx(limit);
+}
+
+// A job still running when the worker had to stop: back to 'pending' without using up an
+// attempt, with a 'shutdown' event listing the stages it had completed. The next run resumes
+// after them, so a PrintIQ quote already created is reused rather than created again.
+// delayMs keeps it from being claimed while a webhook run of it may still be going.
+function markJobInterrupted(job, { delayMs = 0, reason = 'Interrupted by shutdown' } = {}) {
+  const completed = listCompletedStages(job.id).map(row => row.stage);
+  const delaySeconds = Math.round(delayMs / 1000);
+  const reset = markJobInterruptedStmt.run({ id: job.id, last_error: reason, delay: `+${delaySeconds} seconds` }).changes > 0;
+  recordJobEvent({
+    jobId: job.id,
+    stage: 'shutdown',
+    status: 'error',
+    output: { completedStages: completed, requeued: reset, ...(reset && delaySeconds ? { retryInSeconds: delaySeconds } : {}) },
+    error: reason
+  });
+  logger.warn(`Job id=${job.id} msg_id=${job.msg_id} interrupted (completed stages: ${completed.join(', ') || 'none'})` +
+    (reset ? `, requeued${delaySeconds ? ` to run in ${delaySeconds}s` : ''}` : ''));
+  return reset;
+}
+
+// On startup, reset any 'processing' rows back to 'pending' so stuck jobs are retried
+function recoverStuckProcessing() {
+  try {
+    resetProcessingToPendingStmt.run();
+  } catch (err) {
+    logger.error("Failed to reset processing -> pending:", err);
+  }
+}
+
+module.exports = {
+  db,
+  DATA_DIR,
+  JOB_MAX_ATTEMPTS,
+  JOB_STAGES,
+  insertJob,
+  recordJobEvent,
+  runStage,
+  resumeStage,
+  listJobEvents,
+  saveStageResult,
+  getStageResult,
+  listCompletedStages,
+  clearStageResults,
+  getSyncState,
+  saveSyncState,
+  listSubscriptions,
+  getSubscription,
+  saveSubscription,
+  deleteSubscriptionRecord,
+  updateJobPayload,
+  updateJobMessageId,
+  claimAndGetJobs,
+  markJobDone,
+  markJobError,
+  markJobNeedsReview,
+  markJobInterrupted,
+  getJob,
+  listJobs,
+  requeueJob,
+  cancelJob,
+  deleteJob,
+  listReviewJobs,
+  updateReviewData,
+  claimReview,
+  releaseReview,
+  resolveReview,
+  recoverStuckApprovals,
+  recordExtractionAttempts,
+  recoverStuckProcessing
+};
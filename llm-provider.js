@@ -0,0 +1,222 @@
+/* llm-provider.js
+   Chat-completion providers used by the RFQ extractor.
+   Supported providers (LLM_PROVIDER):
+     openai - api.openai.com (default)
+     azure  - Azure OpenAI deployment
+     local  - any OpenAI-compatible server (Ollama, LM Studio, vLLM, llama.cpp ...)
+     stub   - deterministic canned response, no network (offline runs and tests)
+*/
+require('dotenv').config();
+const fs = require('fs');
+const logger = require('./logger');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Empty extractor object: what the stub returns when no response file is configured
+const EMPTY_EXTRACTION = {
+  rfq_no: "",
+  title: "",
+  prod: "",
+  width: null,
+  height: null,
+  kinds: [],
+  print: "",
+  stock: "",
+  finish: "",
+  packing: "",
+  delivery: "",
+  quantity: 0,
+  quantities: [],
+  items: []
+};
+
+/**
+ * Read provider settings from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Provider config
+ */
+function loadLlmConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  return {
+    provider,
+    model: env.LLM_MODEL || env.AZURE_OPENAI_DEPLOYMENT || DEFAULT_MODEL,
+    baseUrl: env.LLM_BASE_URL || null,
+    apiKey: env.LLM_API_KEY || (provider === 'azure' ? env.AZURE_OPENAI_API_KEY : env.OPENAI_API_KEY) || null,
+    // 'bearer' (Authorization: Bearer <key>), 'api-key' (api-key: <key>) or 'none'; defaults per provider
+    authStyle: env.LLM_AUTH_STYLE ? env.LLM_AUTH_STYLE.toLowerCase() : null,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS || 60000),
+    temperature: Number(env.LLM_TEMPERATURE || 0),
+    maxTokens: Number(env.LLM_MAX_TOKENS || 2000),
+    azure: {
+      endpoint: env.AZURE_OPENAI_ENDPOINT || null,
+      deployment: env.AZURE_OPENAI_DEPLOYMENT || env.LLM_MODEL || null,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+    },
+    stubResponseFile: env.LLM_STUB_RESPONSE_FILE || null
+  };
+}
+
+function buildAuthHeaders(authStyle, apiKey) {
+  if (authStyle === 'none') return {};
+  if (!apiKey) return {};
+  if (authStyle === 'api-key') return { 'api-key': apiKey };
+  return { 'Authorization': `Bearer ${apiKey}` };
+}
+
+// POST an OpenAI-style chat completion request and return { text, finishReason, usage }.
+// The timeout covers reading the response body too, not just the headers.
+async function postChatCompletion({ name, url, headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let j;
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!resp.ok) {
+      const t = await resp.text();
+      throw new Error(`${name} error ${resp.status}: ${t}`);
+    }
+
+    j = await resp.json();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`${name} request timed out after ${timeoutMs}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = j.choices?.[0]?.message?.content;
+  return {
+    text: typeof text === 'string' ? text : JSON.stringify(j),
+    finishReason: j.choices?.[0]?.finish_reason || null,
+    usage: j.usage || null
+  };
+}
+
+// ---------- Adapters ----------
+function createOpenAIProvider(config) {
+  if (!config.apiKey) {
+    throw new Error("Missing API key for LLM provider 'openai' (set LLM_API_KEY or OPENAI_API_KEY)");
+  }
+  const baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const headers = buildAuthHeaders(config.authStyle || 'bearer', config.apiKey);
+
+  return {
+    name: 'openai',
+    model: config.model,
+    complete: (messages, options = {}) => postChatCompletion({
+      name: 'OpenAI',
+      url: `${baseUrl}/chat/completions`,
+      headers,
+      timeoutMs: config.timeoutMs,
+      body: {
+        model: config.model,
+        messages,
+        temperature: options.temperature ?? config.temperature,
+        max_tokens: options.maxTokens ?? config.maxTokens
+      }
+    })
+  };
+}
+
+function createAzureProvider(config) {
+  const { endpoint, deployment, apiVersion } = config.azure;
+  if (!endpoint || !deployment) {
+    throw new Error("LLM provider 'azure' requires AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT");
+  }
+  if (!config.apiKey && config.authStyle !== 'none') {
+    throw new Error("Missing API key for LLM provider 'azure' (set AZURE_OPENAI_API_KEY or LLM_API_KEY)");
+  }
+  const baseUrl = (config.baseUrl || endpoint).replace(/\/+$/, '');
+  const headers = buildAuthHeaders(config.authStyle || 'api-key', config.apiKey);
+
+  return {
+    name: 'azure',
+    model: deployment,
+    complete: (messages, options = {}) => postChatCompletion({
+      name: 'Azure OpenAI',
+      url: `${baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      headers,
+      timeoutMs: config.timeoutMs,
+      body: {
+        messages,
+        temperature: options.temperature ?? config.temperature,
+        max_tokens: options.maxTokens ?? config.maxTokens
+      }
+    })
+  };
+}
+
+function createLocalProvider(config) {
+  const baseUrl = (config.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  // Local servers usually need no key; send one only if configured
+  const headers = buildAuthHeaders(config.authStyle || (config.apiKey ? 'bearer' : 'none'), config.apiKey);
+
+  return {
+    name: 'local',
+    model: config.model,
+    complete: (messages, options = {}) => postChatCompletion({
+      name: 'Local LLM',
+      url: `${baseUrl}/chat/completions`,
+      headers,
+      timeoutMs: config.timeoutMs,
+      body: {
+        model: config.model,
+        messages,
+        temperature: options.temperature ?? config.temperature,
+        max_tokens: options.maxTokens ?? config.maxTokens
+      }
+    })
+  };
+}
+
+// Returns the same response for every prompt: the contents of LLM_STUB_RESPONSE_FILE,
+// or an empty extractor object
+function createStubProvider(config) {
+  return {
+    name: 'stub',
+    model: 'stub',
+    complete: async () => {
+      let text = JSON.stringify(EMPTY_EXTRACTION);
+      if (config.stubResponseFile) {
+        text = fs.readFileSync(config.stubResponseFile, 'utf8');
+      }
+      return { text, finishReason: 'stop', usage: null };
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  local: createLocalProvider,
+  stub: createStubProvider
+};
+
+/**
+ * Create a chat-completion provider
+ * @param {Object} config - Provider config (see loadLlmConfig)
+ * @returns {Object} { name, model, complete(messages, options) -> Promise<{ text, finishReason, usage }> }
+ */
+function createProvider(config = loadLlmConfig()) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER '${config.provider}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const provider = factory(config);
+  logger.log(`LLM provider: ${provider.name}, model: ${provider.model}`);
+  return provider;
+}
+
+module.exports = {
+  loadLlmConfig,
+  createProvider
+};
@@ -0,0 +1,162 @@
+/* mail-actions.js
+   Post-processing of handled Graph messages, so sales staff can see each RFQ's status in
+   Outlook: an Outlook category per outcome, and optionally a move to another folder.
+
+     outcome    when                                      category (default)    folder
+     sent       reply sent (worker, or approved review)   AutoQuote: Sent       MAIL_QUOTED_FOLDER
+     review     held for review                           AutoQuote: Review     -
+     failed     job dead after its last attempt           AutoQuote: Failed     MAIL_FAILED_FOLDER
+     rejected   review rejected                           (categories removed)  -
+
+   Settings:
+     MAIL_CATEGORIES         - 'on' (default) or 'off'
+     MAIL_CATEGORY_SENT / MAIL_CATEGORY_REVIEW / MAIL_CATEGORY_FAILED - category names
+     MAIL_QUOTED_FOLDER      - folder for sent quotes (blank: leave the message where it is)
+     MAIL_FAILED_FOLDER      - folder for failed RFQs, e.g. "Needs attention" (blank: leave it)
+   Folders are found by name (or id) in the job's mailbox and created at the top level when
+   missing. A move gives the message a new Graph id, stored on the job as graph_msg_id.
+
+   The actions are best-effort: a failure is logged and recorded as a 'mail_actions' job
+   event, but never changes the job's outcome. Jobs without a Graph message (SMTP, or
+   webhook requests that carried no messageId) are skipped.
+*/
+require('dotenv').config();
+const {
+  getGraphAccessToken,
+  fetchMailFolders,
+  getMessageCategories,
+  setMessageCategories,
+  moveMessage,
+  createMailFolder
+} = require('./ms-graph-mail');
+const { runStage, updateJobMessageId } = require('./job-store');
+const { findWatchByFolder } = require('./watch-config');
+const logger = require('./logger');
+
+const CATEGORIES_ENABLED = (process.env.MAIL_CATEGORIES || 'on').toLowerCase() !== 'off';
+const CATEGORIES = {
+  sent: process.env.MAIL_CATEGORY_SENT || 'AutoQuote: Sent',
+  review: process.env.MAIL_CATEGORY_REVIEW || 'AutoQuote: Review',
+  failed: process.env.MAIL_CATEGORY_FAILED || 'AutoQuote: Failed'
+};
+const FOLDERS = {
+  sent: (process.env.MAIL_QUOTED_FOLDER || '').trim(),
+  failed: (process.env.MAIL_FAILED_FOLDER || '').trim()
+};
+const OUTCOMES = ['sent', 'review', 'failed', 'rejected'];
+// Graph accepts these as a destinationId as they are
+const WELL_KNOWN_FOLDERS = ['inbox', 'archive', 'deleteditems', 'junkemail', 'drafts', 'sentitems'];
+
+// Current Graph id of a job's message (it changes when the message is moved), or null for
+// jobs without one (SMTP, or webhook requests that carried no Graph id). Graph jobs queued
+// before graph_msg_id was filled in on insert only have msg_id.
+function graphMessageId(job) {
+  return job.graph_msg_id || (job.source === 'graph' ? job.msg_id : null);
+}
+
+// The job's categories after an outcome: other AutoQuote categories are replaced,
+// categories set by people are kept
+function nextCategories(current, outcome) {
+  const ours = Object.values(CATEGORIES);
+  const kept = current.filter(category => !ours.includes(category));
+  return CATEGORIES[outcome] ? [...kept, CATEGORIES[outcome]] : kept;
+}
+
+// mailbox|name -> promise of the folder id. Jobs finishing together share one lookup, so the
+// folder is created once.
+const folderIds = new Map();
+
+async function findFolderId(token, mailbox, name) {
+  const folders = await fetchMailFolders(token, mailbox);
+  const match = folders.find(folder => folder.id === name || (folder.displayName || '').toLowerCase() === name.toLowerCase());
+  return match ? match.id : null;
+}
+
+async function lookupFolder(token, mailbox, name) {
+  if (WELL_KNOWN_FOLDERS.includes(name.toLowerCase())) return name.toLowerCase();
+
+  const existing = await findFolderId(token, mailbox, name);
+  if (existing) return existing;
+  try {
+    const created = await createMailFolder(token, mailbox, name);
+    logger.log(`Created mail folder "${name}" in ${mailbox}`);
+    return created.id;
+  } catch (err) {
+    // Created in the meantime (e.g. by another worker): use that one
+    if (err.status !== 409) throw err;
+    const raced = await findFolderId(token, mailbox, name);
+    if (!raced) throw err;
+    return raced;
+  }
+}
+
+function resolveFolder(token, mailbox, name) {
+  const key = `${mailbox.toLowerCase()}|${name.toLowerCase()}`;
+  if (!folderIds.has(key)) {
+    const lookup = lookupFolder(token, mailbox, name);
+    folderIds.set(key, lookup);
+    // A failed lookup is not cached, so the next job tries again
+    lookup.catch(() => {
+      if (folderIds.get(key) === lookup) folderIds.delete(key);
+    });
+  }
+  return folderIds.get(key);
+}
+
+/**
+ * Tag (and optionally move) a job's Graph message for an outcome. Never throws.
+ * @param {Object} job - Job row (source, mailbox, msg_id, graph_msg_id, folder_id)
+ * @param {string} outcome - 'sent' | 'review' | 'failed' | 'rejected'
+ * @param {Object} options - { mailbox } fallback for jobs from before watches were recorded
+ * @returns {Promise<Object|null>} { categories, movedTo, messageId }, or null when skipped or failed
+ */
+async function applyMailActions(job, outcome, { mailbox: defaultMailbox = null } = {}) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown mail outcome '${outcome}'`);
+  }
+  const mailbox = job.mailbox || defaultMailbox;
+  const folderName = FOLDERS[outcome] || '';
+  if (!graphMessageId(job) || !mailbox || (!CATEGORIES_ENABLED && !folderName)) return null;
+
+  const messageId = graphMessageId(job);
+  try {
+    return await runStage(job.id, 'mail_actions', { outcome, mailbox, messageId, folder: folderName || null }, async () => {
+      const token = await getGraphAccessToken();
+      const result = { categories: null, movedTo: null, messageId };
+
+      if (CATEGORIES_ENABLED) {
+        result.categories = nextCategories(await getMessageCategories(token, mailbox, messageId), outcome);
+        await setMessageCategories(token, mailbox, messageId, result.categories);
+      }
+
+      if (folderName) {
+        const destinationId = await resolveFolder(token, mailbox, folderName);
+        // Moving into a watched folder would queue the message again under its new id
+        if (findWatchByFolder(mailbox, destinationId) || findWatchByFolder(mailbox, folderName)) {
+          logger.warn(`Not moving job id=${job.id} to "${folderName}": that folder is watched`);
+        } else if (destinationId !== job.folder_id) {
+          const moved = await moveMessage(token, mailbox, messageId, destinationId);
+          updateJobMessageId(job.id, moved.id);
+          result.movedTo = folderName;
+          result.messageId = moved.id;
+        }
+      }
+
+      logger.log(`Mail actions for job id=${job.id} (${outcome}): ` +
+        `categories=${result.categories ? JSON.stringify(result.categories) : 'unchanged'}` +
+        (result.movedTo ? `, moved to "${result.movedTo}"` : ''));
+      return result;
+    });
+  } catch (err) {
+    logger.warn(`Mail actions for job id=${job.id} (${outcome}) failed: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  FOLDERS,
+  graphMessageId,
+  nextCategories,
+  applyMailActions
+};
@@ -0,0 +1,90 @@
+/* mail-sync.js
+   Finds new messages in a mailbox folder for the worker to enqueue.
+
+   MAIL_SYNC_MODE=delta (default): Graph delta queries with the delta link persisted per
+   mailbox folder (mail_sync_state), so new mail is seen whether or not someone has already
+   opened it in Outlook. The read flag is only a secondary signal, for mail that was in the
+   folder before syncing started:
+     - the first round covers mail received in the last DELTA_LOOKBACK_HOURS (default 24)
+       and only takes the unread messages from it (anything already read was handled before)
+     - after that, every message received since syncing started is taken, read or not
+   Messages already queued are ignored by insertJob (msg_id is unique), so change
+   notifications for processed messages (e.g. our own mark-as-read) are harmless.
+   An expired delta link (HTTP 410) starts a new round with a fresh lookback window.
+
+   MAIL_SYNC_MODE=unread: the previous behaviour, list unread messages in the folder.
+*/
+require('dotenv').config();
+const { fetchUnreadEmails, fetchMessagesDelta } = require('./ms-graph-mail');
+const { getSyncState, saveSyncState } = require('./job-store');
+const logger = require('./logger');
+
+const MAIL_SYNC_MODE = (process.env.MAIL_SYNC_MODE || 'delta').toLowerCase();
+const DELTA_LOOKBACK_HOURS = Number(process.env.DELTA_LOOKBACK_HOURS || 24);
+
+// ISO timestamp without milliseconds, the form Graph uses for receivedDateTime
+function isoSeconds(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function lookbackStart() {
+  return isoSeconds(Date.now() - DELTA_LOOKBACK_HOURS * 3600 * 1000);
+}
+
+// Messages worth a job: received inside the sync window, and either unread or received
+// after syncing started
+function isNewMessage(msg, state) {
+  const received = String(msg.receivedDateTime || '');
+  if (received && received < state.since) return false;
+  return !msg.isRead || (received && received >= state.startedAt);
+}
+
+/**
+ * Fetch the messages to enqueue for a folder
+ * @param {string} accessToken - Graph token
+ * @param {string} mailbox - Mailbox address
+ * @param {string} folderId - Folder id or well-known name
+ * @returns {Promise<Object>} { messages (oldest first), commit() } — call commit() once the
+ *   messages are safely queued; only then is the delta link advanced
+ */
+async function fetchNewMessages(accessToken, mailbox, folderId) {
+  if (MAIL_SYNC_MODE === 'unread') {
+    const messages = await fetchUnreadEmails(accessToken, mailbox, folderId);
+    return { messages, commit: () => {} };
+  }
+
+  const stored = getSyncState(mailbox, folderId);
+  const state = {
+    link: stored?.delta_link || null,
+    since: stored?.since || lookbackStart(),
+    startedAt: stored?.started_at || isoSeconds(Date.now())
+  };
+  if (!stored) {
+    logger.log(`Mailbox sync: first delta round for ${mailbox} / ${folderId} (mail received since ${state.since})`);
+  }
+
+  let result;
+  try {
+    result = await fetchMessagesDelta(accessToken, mailbox, folderId, { link: state.link, receivedSince: state.since });
+  } catch (err) {
+    if (err.status !== 410 || !state.link) throw err;
+    logger.warn(`Mailbox sync: delta link for ${mailbox} / ${folderId} expired, starting a new round`);
+    state.link = null;
+    state.since = lookbackStart();
+    result = await fetchMessagesDelta(accessToken, mailbox, folderId, { receivedSince: state.since });
+  }
+
+  const messages = result.messages.filter(msg => isNewMessage(msg, state));
+  const nextLink = result.deltaLink || result.nextLink;
+
+  return {
+    messages,
+    commit: () => saveSyncState({ mailbox, folderId, deltaLink: nextLink, since: state.since, startedAt: state.startedAt })
+  };
+}
+
+module.exports = {
+  MAIL_SYNC_MODE,
+  fetchNewMessages,
+  isNewMessage
+};
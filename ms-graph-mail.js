@@ -8,10 +8,27 @@
 // MS_GRAPH_CLIENT_ID
 // MS_GRAPH_CLIENT_SECRET
 // EMAIL_FROM (the mailbox to poll)
+// Optional: GRAPH_BASE_URL (default https://graph.microsoft.com/v1.0, e.g. a local fake Graph in tests)
+// Optional: GRAPH_LOGIN_URL (default https://login.microsoftonline.com)
 
 const fetch = (...args) => import('node-fetch').then(m => m.default(...args));
 const logger = require('./logger');
-const GRAPH_BASE = "https://graph.microsoft.com/v1.0";
+const GRAPH_BASE = (process.env.GRAPH_BASE_URL || "https://graph.microsoft.com/v1.0").replace(/\/+$/, '');
+const GRAPH_LOGIN = (process.env.GRAPH_LOGIN_URL || "https://login.microsoftonline.com").replace(/\/+$/, '');
+// Message fields used by convertGraphMessage and the mailbox sync
+const MESSAGE_SELECT = 'subject,from,body,bodyPreview,receivedDateTime,isRead,conversationId';
+// Upper bound on pages followed in one fetch (50 messages per page)
+const MAX_PAGES = Number(process.env.GRAPH_MAX_PAGES || 20);
+
+function folderPathFor(folderId) {
+  // If folderId is a well-known folder name, use it directly; otherwise use the ID
+  return folderId.includes('/') ? folderId : `mailFolders/${encodeURIComponent(folderId)}`;
+}
+
+// Oldest first, so jobs are queued in the order the RFQs arrived
+function sortByReceived(messages) {
+  return [...messages].sort((a, b) => String(a.receivedDateTime || '').localeCompare(String(b.receivedDateTime || '')));
+}
 
 async function getGraphAccessToken() {
   const tenant = process.env.MS_GRAPH_TENANT_ID;
@@ -26,7 +43,7 @@ async function getGraphAccessToken() {
   });
 
   const resp = await fetch(
-    `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`,
+    `${GRAPH_LOGIN}/${tenant}/oauth2/v2.0/token`,
     {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
@@ -113,9 +130,81 @@ async function fetchMailFolders(accessToken, mailbox) {
 
 // Fetch unread emails from a specific folder (defaults to Inbox)
 async function fetchUnreadEmails(accessToken, mailbox, folderId = 'Inbox') {
-  // If folderId is a well-known folder name, use it directly; otherwise use the ID
-  const folderPath = folderId.includes('/') ? folderId : `mailFolders/${encodeURIComponent(folderId)}`;
-  const url = `${GRAPH_BASE}/users/${encodeURIComponent(mailbox)}/${folderPath}/messages?$filter=isRead eq false&$top=10`;
+  let url = `${GRAPH_BASE}/users/${encodeURIComponent(mailbox)}/${folderPathFor(folderId)}/messages?$filter=isRead eq false&$top=50`;
+  const messages = [];
+
+  // Follow @odata.nextLink so more than one page of unread mail is picked up
+  for (let page = 0; url && page < MAX_PAGES; page++) {
+    const resp = await fetch(url, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (!resp.ok) {
+      const t = await resp.text();
+      throw new Error("Graph fetchUnreadEmails error: " + t);
+    }
+
+    const data = await resp.json();
+    messages.push(...(data.value || []));
+    url = data['@odata.nextLink'] || null;
+  }
+
+  return sortByReceived(messages);
+}
+
+/**
+ * Run a messages delta query on a folder and follow its pages.
+ * Without a link a new delta round is started (optionally limited to mail received since
+ * receivedSince); with one, only changes since that link are returned. Messages deleted
+ * from the folder (@removed) are left out.
+ * @param {string} accessToken - Graph token
+ * @param {string} mailbox - Mailbox address
+ * @param {string} folderId - Folder id or well-known name
+ * @param {Object} options - { link, receivedSince (ISO date) }
+ * @returns {Promise<Object>} { messages (oldest first), deltaLink, nextLink } — deltaLink when the
+ *   round completed, otherwise nextLink to continue from (page limit reached)
+ * @throws {Error} err.status 410 when the delta link has expired and a full resync is needed
+ */
+async function fetchMessagesDelta(accessToken, mailbox, folderId = 'Inbox', { link = null, receivedSince = null } = {}) {
+  let url = link;
+  if (!url) {
+    const filter = receivedSince ? `&$filter=receivedDateTime ge ${receivedSince}` : '';
+    url = `${GRAPH_BASE}/users/${encodeURIComponent(mailbox)}/${folderPathFor(folderId)}/messages/delta?$select=${MESSAGE_SELECT}${filter}`;
+  }
+
+  const messages = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const resp = await fetch(url, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: 'odata.maxpagesize=50'
+      }
+    });
+
+    if (!resp.ok) {
+      const t = await resp.text();
+      const err = new Error(`Graph delta error ${resp.status}: ${t}`);
+      err.status = resp.status;
+      throw err;
+    }
+
+    const data = await resp.json();
+    messages.push(...(data.value || []).filter(m => !m['@removed']));
+
+    if (data['@odata.nextLink']) {
+      url = data['@odata.nextLink'];
+      continue;
+    }
+    return { messages: sortByReceived(messages), deltaLink: data['@odata.deltaLink'] || null, nextLink: null };
+  }
+
+  logger.warn(`Graph delta: stopped after ${MAX_PAGES} page(s), continuing on the next poll`);
+  return { messages: sortByReceived(messages), deltaLink: null, nextLink: url };
+}
+
+// Fetch one message by id (used for jobs queued from a change notification)
+async function fetchMessage(accessToken, mailbox, id) {
+  const url = `${GRAPH_BASE}/users/${encodeURIComponent(mailbox)}/messages/${encodeURIComponent(id)}?$select=${MESSAGE_SELECT}`;
 
   const resp = await fetch(url, {
     headers: { Authorization: `Bearer ${accessToken}` }
@@ -123,11 +212,49 @@ async function fetchUnreadEmails(accessToken, mailbox, folderId = 'Inbox') {
 
   if (!resp.ok) {
     const t = await resp.text();
-    throw new Error("Graph fetchUnreadEmails error: " + t);
+    const err = new Error(`Graph fetchMessage error ${resp.status}: ${t}`);
+    err.status = resp.status;
+    throw err;
   }
 
-  const data = await resp.json();
-  return data.value || [];
+  return resp.json();
+}
+
+// -----------------------------------------
+// Change-notification subscriptions (see graph-subscriptions.js)
+// Errors carry err.status (404 when the subscription no longer exists).
+// -----------------------------------------
+async function subscriptionRequest(accessToken, method, path, body) {
+  const resp = await fetch(`${GRAPH_BASE}/subscriptions${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json"
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!resp.ok) {
+    const t = await resp.text();
+    const err = new Error(`Graph subscription ${method} error ${resp.status}: ${t}`);
+    err.status = resp.status;
+    throw err;
+  }
+
+  return resp.status === 204 ? null : resp.json();
+}
+
+// { changeType, notificationUrl, resource, expirationDateTime, clientState } → subscription
+function createSubscription(accessToken, subscription) {
+  return subscriptionRequest(accessToken, 'POST', '', subscription);
+}
+
+function renewSubscription(accessToken, id, expirationDateTime) {
+  return subscriptionRequest(accessToken, 'PATCH', `/${encodeURIComponent(id)}`, { expirationDateTime });
+}
+
+function deleteSubscription(accessToken, id) {
+  return subscriptionRequest(accessToken, 'DELETE', `/${encodeURIComponent(id)}`);
 }
 
 // Mark message as read
@@ -149,10 +276,54 @@ async function markMessageAsRead(accessToken, mailbox, id) {
   }
 }
 
+// -----------------------------------------
+// Post-processing of handled messages (see mail-actions.js)
+// Errors carry err.status like the subscription calls.
+// -----------------------------------------
+async function mailboxRequest(accessToken, mailbox, method, path, body) {
+  const resp = await fetch(`${GRAPH_BASE}/users/${encodeURIComponent(mailbox)}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json"
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
 
-async function sendMailOffice365({ to, subject, htmlBody, textBody }) {
+  if (!resp.ok) {
+    const t = await resp.text();
+    const err = new Error(`Graph ${method} ${path.split('?')[0]} error ${resp.status}: ${t}`);
+    err.status = resp.status;
+    throw err;
+  }
+
+  return resp.status === 204 ? null : resp.json();
+}
+
+async function getMessageCategories(accessToken, mailbox, id) {
+  const msg = await mailboxRequest(accessToken, mailbox, 'GET', `/messages/${encodeURIComponent(id)}?$select=categories`);
+  return msg.categories || [];
+}
+
+// Replaces the message's categories (Outlook shows them as coloured tags)
+function setMessageCategories(accessToken, mailbox, id, categories) {
+  return mailboxRequest(accessToken, mailbox, 'PATCH', `/messages/${encodeURIComponent(id)}`, { categories });
+}
+
+// Moves a message; Graph gives the moved copy a new id, returned as the message's `id`
+function moveMessage(accessToken, mailbox, id, destinationId) {
+  return mailboxRequest(accessToken, mailbox, 'POST', `/messages/${encodeURIComponent(id)}/move`, { destinationId });
+}
+
+// Creates a top-level mail folder and returns it
+function createMailFolder(accessToken, mailbox, displayName) {
+  return mailboxRequest(accessToken, mailbox, 'POST', '/mailFolders', { displayName });
+}
+
+// `from` sends from another mailbox than EMAIL_FROM (the app needs Mail.Send on it)
+async function sendMailOffice365({ to, subject, htmlBody, textBody, from }) {
   const token = await getGraphAccessToken();
-  const sender = process.env.EMAIL_FROM;
+  const sender = from || process.env.EMAIL_FROM;
   if (!sender) throw new Error('EMAIL_FROM env var not set');
 
   const graphUrl = `${GRAPH_BASE}/users/${encodeURIComponent(sender)}/sendMail`;
@@ -186,15 +357,156 @@ async function sendMailOffice365({ to, subject, htmlBody, textBody }) {
   return { ok: true };
 }
 
+// Reply to an existing message in the sender mailbox so the quote stays in the buyer's thread.
+// Uses createReply/createReplyAll (keeps conversationId and In-Reply-To/References headers),
+// puts htmlBody above the quoted original and sends the draft.
+// Returns { ok: false, notFound: true } when the original message no longer exists,
+// so callers can fall back to sendMailOffice365. A draft that could not be updated or sent
+// is deleted before the error is thrown, so retries don't leave drafts behind.
+// `mailbox` is the mailbox holding the original (default EMAIL_FROM); `from` sends the
+// reply as another address (needs Send As rights on it).
+async function replyToMessageOffice365({ messageId, htmlBody, textBody, replyAll = false, to, mailbox, from }) {
+  const token = await getGraphAccessToken();
+  const sender = mailbox || process.env.EMAIL_FROM;
+  if (!sender) throw new Error('EMAIL_FROM env var not set');
+  if (!messageId) throw new Error('messageId is required to reply in thread');
+
+  const mailboxUrl = `${GRAPH_BASE}/users/${encodeURIComponent(sender)}/messages`;
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+
+  // 1) create the reply draft
+  const action = replyAll ? 'createReplyAll' : 'createReply';
+  const createRes = await fetch(`${mailboxUrl}/${encodeURIComponent(messageId)}/${action}`, {
+    method: 'POST',
+    headers
+  });
+
+  if (createRes.status === 404) {
+    const txt = await createRes.text();
+    logger.warn(`Graph ${action}: original message not found (${messageId}): ${txt}`);
+    return { ok: false, notFound: true };
+  }
+  if (!createRes.ok) {
+    const txt = await createRes.text();
+    throw new Error(`Graph ${action} error ${createRes.status}: ${txt}`);
+  }
+
+  const draft = await createRes.json();
+  const draftUrl = `${mailboxUrl}/${encodeURIComponent(draft.id)}`;
+
+  const discardDraft = async () => {
+    try {
+      const deleteRes = await fetch(draftUrl, { method: 'DELETE', headers });
+      if (!deleteRes.ok && deleteRes.status !== 404) {
+        logger.warn(`Graph delete reply draft error ${deleteRes.status}: ${await deleteRes.text()}`);
+      }
+    } catch (err) {
+      logger.warn(`Graph delete reply draft failed: ${err.message}`);
+    }
+  };
+
+  // 2) put our content above the quoted original (and override recipients if requested)
+  const quoted = draft.body?.content || '';
+  const update = {
+    body: {
+      contentType: 'HTML',
+      content: `${htmlBody || textBody || ''}${quoted}`
+    }
+  };
+  if (to) {
+    update.toRecipients = [{ emailAddress: { address: to } }];
+  }
+  if (from && from.toLowerCase() !== sender.toLowerCase()) {
+    update.from = { emailAddress: { address: from } };
+  }
+
+  const patchRes = await fetch(draftUrl, {
+    method: 'PATCH',
+    headers,
+    body: JSON.stringify(update)
+  });
+  if (!patchRes.ok) {
+    const txt = await patchRes.text();
+    await discardDraft();
+    throw new Error(`Graph update reply draft error ${patchRes.status}: ${txt}`);
+  }
+
+  // 3) send the draft
+  const sendRes = await fetch(`${draftUrl}/send`, {
+    method: 'POST',
+    headers
+  });
+  if (!sendRes.ok) {
+    const txt = await sendRes.text();
+    await discardDraft();
+    throw new Error(`Graph send reply error ${sendRes.status}: ${txt}`);
+  }
+
+  return { ok: true, threaded: true, conversationId: draft.conversationId || null };
+}
+
+// Decode the HTML entities that commonly appear in Outlook message bodies
+function decodeHtmlEntities(text) {
+  const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", times: '×', ndash: '–', mdash: '—' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const value = named[entity.toLowerCase()];
+    return value !== undefined ? value : match;
+  });
+}
+
+// Convert an HTML message body to plain text, keeping line structure.
+// Block elements and <br> become line breaks and table cells are separated by tabs,
+// so lines like "SIZE: 160.0 mm x 300.0 mm" and kinds table rows survive intact.
+function htmlToText(html) {
+  if (!html) return "";
+
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // HTML whitespace (including source line breaks) collapses to a single space
+    .replace(/[\r\n\t ]+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    // a closing block tag directly followed by another block only needs one line break
+    .replace(/<\/(p|div|tr|li|h[1-6])>\s*(?=<(p|div|tr|li|table|ul|ol|h[1-6])\b)/gi, '')
+    .replace(/<\/(td|th)>\s*(?=<(td|th)\b)/gi, '\t')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|tr|table|thead|tbody|tfoot|ul|ol|li|h[1-6]|blockquote|pre|hr)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  text = decodeHtmlEntities(text);
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/ *\t */g, '\t').replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 // Convert Graph message → webhook email format
+// `text` is the full body as plain text (Graph's bodyPreview is cut at ~255 chars
+// and is only used when the message has no body).
 function convertGraphMessage(msg) {
+  const content = msg.body?.content || "";
+  const isHtml = (msg.body?.contentType || 'html').toLowerCase() === 'html';
+  const text = content
+    ? (isHtml ? htmlToText(content) : content)
+    : (msg.bodyPreview || "");
+
   return {
     from: msg.from?.emailAddress?.address || "",
     subject: msg.subject || "",
-    text: msg.bodyPreview || "",
-    html: msg.body?.content || "",
+    text,
+    html: isHtml ? content : "",
     attachments: msg.attachments || [],
-    raw: msg.body?.content || ""
+    raw: content
   };
 }
 
@@ -202,7 +514,18 @@ module.exports = {
   getGraphAccessToken,
   fetchMailFolders,
   fetchUnreadEmails,
+  fetchMessagesDelta,
+  fetchMessage,
+  createSubscription,
+  renewSubscription,
+  deleteSubscription,
   markMessageAsRead,
+  getMessageCategories,
+  setMessageCategories,
+  moveMessage,
+  createMailFolder,
   convertGraphMessage,
-  sendMailOffice365
+  htmlToText,
+  sendMailOffice365,
+  replyToMessageOffice365
 };
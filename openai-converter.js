@@ -6,15 +6,18 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-if (!OPENAI_API_KEY) {
-  throw new Error("Missing OPENAI_API_KEY in .env");
-}
-
-// Model config
-const MODEL = "gpt-4o-mini";
+const { createProvider } = require('./llm-provider');
+const { validateExtraction } = require('./extraction-schema');
+const { createLimiter } = require('./concurrency');
+
+// Model config: provider, model, endpoint, auth and timeout come from LLM_* env vars (see llm-provider.js)
+let llmProvider = null;
+// Minimum share of layout fields the deterministic parser must find before the model is skipped
+const PARSER_MIN_COVERAGE = Number(process.env.RFQ_PARSER_MIN_COVERAGE || 0.8);
+// Model calls per extraction: the first request plus repair requests after validation failures
+const EXTRACTION_MAX_ATTEMPTS = Number(process.env.EXTRACTION_MAX_ATTEMPTS || 3);
+// Model calls in flight at once across all jobs in this process; the rest wait their turn
+const llmLimit = createLimiter(Number(process.env.LLM_CONCURRENCY || 2), 'llm');
 const PROMPT_TEMPLATE = (rawText) => `
 You are an extractor. Given the raw email below, return exactly one valid JSON object 
 (no explanation, no markdown) that matches the schema and rules below.
@@ -34,7 +37,9 @@ Schema:
   "finish": "",
   "packing": "",
   "delivery": "",
-  "quantity": 0
+  "quantity": 0,
+  "quantities": [],
+  "items": []
 }
 
 IMPORTANT RULES:
@@ -45,6 +50,8 @@ IMPORTANT RULES:
    - null for width / height
    - [] for kinds
    - 0 for quantity
+   - [] for quantities
+   - [] for items
 4. KINDS EXTRACTION RULES (CRITICAL - EXTRACT ALL KINDS):
    You MUST extract ALL kinds from the email without exception. A kind is **any standalone token appearing 
    on its own line**, typically in a table or list format, between SIZE and FINISH/PRINT sections,
@@ -75,7 +82,21 @@ IMPORTANT RULES:
    - If there is exactly one kind AND the email contains a total Quantity (like "870"), 
      you may set that kind’s count equal to the total Quantity.
 
-6. The output must be valid JSON with no additional fields, no comments, and no extra text.
+6. QUANTITY BREAK RULES:
+   - If the email asks for prices at several quantities (e.g. "500/1000/2500", "quote 500, 1000
+     and 2500", or several rows in the Quantity table), list EVERY requested quantity in
+     "quantities" as numbers, in the order given, and set "quantity" to the first of them.
+   - If only one quantity is requested, set "quantities" to [].
+
+7. LINE ITEM RULES:
+   - If the email lists SEVERAL separate products (each with its own TITLE / PROD / SIZE / STOCK
+     block), put EVERY product in "items", in order, each as an object with exactly these fields:
+     "title", "prod", "width", "height", "kinds", "print", "stock", "finish", "packing",
+     "quantity", "quantities" (same rules as above, for that product only).
+   - Fill the top-level product fields from the first item; "rfq_no" and "delivery" are shared.
+   - If the email describes only one product, set "items" to [].
+
+8. The output must be valid JSON with no additional fields, no comments, and no extra text.
 
 INPUT EMAIL:
 <<<
@@ -83,6 +104,16 @@ ${rawText}
 >>>
 `.trim();
 
+// Follow-up request sent when the previous answer failed schema validation
+const REPAIR_PROMPT_TEMPLATE = (errors) => `
+Your previous answer did not match the required schema. Validation errors:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected JSON object only: exactly the fields of the schema, numbers as real numbers,
+"kinds" as an array of { "kind": "", "count": 0 } objects, "quantities" as an array of numbers,
+"items" as an array of product objects (or []), no additional fields, no explanation.
+`.trim();
+
 // ---------- Helpers ----------
 function safeNumFromString(s) {
   if (s == null) return null;
@@ -93,6 +124,44 @@ function safeNumFromString(s) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Quantity breaks: the distinct positive numbers in extracted.quantities, in order
+function quantityBreaksFromExtracted(extracted) {
+  if (!Array.isArray(extracted.quantities)) return [];
+  const breaks = extracted.quantities.map(safeNumFromString).filter(q => q !== null && q > 0);
+  return [...new Set(breaks)];
+}
+
+// Product fields of one line item (ITEM_SCHEMA in extraction-schema.js) and their empty values
+const ITEM_DEFAULTS = {
+  title: "", prod: "", width: null, height: null, kinds: [], print: "", stock: "", finish: "", packing: "", quantity: 0, quantities: []
+};
+const ITEM_FIELDS = Object.keys(ITEM_DEFAULTS);
+
+// Fields of the RFQ as a whole, shared by every line item
+const RFQ_FIELDS = ['rfq_no', 'delivery'];
+
+// Line items of a multi-item RFQ: the RFQ-wide fields plus the item's own product fields. A field
+// the item leaves out is empty rather than taken from the top level, which describes item 1.
+// An extraction with fewer than two items is a single product ([]).
+function lineItemsFromExtracted(extracted) {
+  if (!Array.isArray(extracted.items) || extracted.items.length < 2) return [];
+  return extracted.items
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      ...Object.fromEntries(RFQ_FIELDS.map(field => [field, extracted[field] ?? ""])),
+      ...Object.fromEntries(ITEM_FIELDS.map(field => [field, item[field] ?? ITEM_DEFAULTS[field]])),
+      items: []
+    }));
+}
+
+// "500/1000/2500", "500, 1,000 and 2500" → [500, 1000, 2500]
+function parseQuantityList(value) {
+  return String(value || '')
+    .split(/\s*(?:\/|;|\||,(?!\d{3}\b)|\band\b|\bor\b)\s*/i)
+    .map(part => /^\d/.test(part.trim()) ? safeNumFromString(part.trim().split(/\s+/)[0]) : null)
+    .filter(q => q !== null && q > 0);
+}
+
 function parseModelTextToJson(text) {
   const first = text.indexOf("{");
   const last = text.lastIndexOf("}");
@@ -431,7 +500,8 @@ function buildFinalJsonFromExtracted(extracted, rawText) {
   // Normalize extracted fields and types
   const width = safeNumFromString(extracted.width) ?? null;
   const height = safeNumFromString(extracted.height) ?? null;
-  const quantity = safeNumFromString(extracted.quantity) ?? 0;
+  const quantityBreaks = quantityBreaksFromExtracted(extracted);
+  const quantity = safeNumFromString(extracted.quantity) || quantityBreaks[0] || 0;
   const kindsArray = extractKindsArrayFromExtracted(extracted); // array of stock codes
 
   final.CustomProduct.FinishSizeWidth = width;
@@ -551,6 +621,9 @@ function buildFinalJsonFromExtracted(extracted, rawText) {
 
     const sumAdv = advKinds.reduce((s, k) => s + (Number(k.Quantity) || 0), 0);
     if (sumAdv > 0) {
+      if (quantity > 0 && sumAdv !== Number(quantity)) {
+        logger.warn(`Sum of kind quantities (${sumAdv}) differs from stated quantity (${quantity}); using the kinds sum`);
+      }
       final.SelectedQuantity.Quantity = sumAdv;
     } else {
       final.SelectedQuantity.Quantity = Number(quantity);
@@ -560,6 +633,12 @@ function buildFinalJsonFromExtracted(extracted, rawText) {
     final.SelectedQuantity.Kinds = 1;
   }
 
+  // Several quantities requested: not a PrintIQ field, processQuote (quote-processor.js) prices
+  // each one with its own GetPrice and removes it from what is sent
+  if (quantityBreaks.length > 1) {
+    final.QuantityBreaks = quantityBreaks;
+  }
+
   // Ensure numeric typing
   if (final.SelectedQuantity.Quantity != null) final.SelectedQuantity.Quantity = Number(final.SelectedQuantity.Quantity);
   if (final.SelectedQuantity.Kinds != null) final.SelectedQuantity.Kinds = Number(final.SelectedQuantity.Kinds);
@@ -567,85 +646,406 @@ function buildFinalJsonFromExtracted(extracted, rawText) {
   return { final, stockMappingUsed };
 }
 
-// ---------- OpenAI call ----------
-async function callOpenAIForExtractor(rawText) {
-  const prompt = PROMPT_TEMPLATE(rawText);
+// ---------- Deterministic parser for the structured Coles RFQ layout ----------
+// RFQ No.: / TITLE: / PROD: / SIZE: 160.0 mm x 300.0 mm / kinds block ("CODE x1000" lines,
+// optionally "17 Kinds") / PRINT / STOCK / FINISH / PACKING / DELIVERY / Quantity table.
+// Produces the same `extracted` shape as PROMPT_TEMPLATE without calling the model.
+const RFQ_FIELD_PATTERNS = [
+  { field: 'rfq_no', re: /^RFQ\s*(?:No\.?|#)?\s*:\s*(.*)$/i },
+  { field: 'title', re: /^TITLE\s*:\s*(.*)$/i },
+  { field: 'prod', re: /^PROD\s*:\s*(.*)$/i },
+  { field: 'size', re: /^SIZE\s*:\s*(.*)$/i },
+  { field: 'print', re: /^PRINT\s*:\s*(.*)$/i },
+  { field: 'stock', re: /^STOCK\s*:\s*(.*)$/i },
+  { field: 'finish', re: /^FINISH\s*:\s*(.*)$/i },
+  { field: 'packing', re: /^PACKING\s*:\s*(.*)$/i },
+  { field: 'delivery', re: /^DELIVERY\s*:\s*(.*)$/i },
+  { field: 'campaign', re: /^CAMPAIGN\s*:\s*(.*)$/i }
+];
+// Fields that end the kinds block
+const KINDS_END_FIELDS = ['print', 'stock', 'finish', 'packing', 'delivery'];
+// Fields counted for coverage (size counts once, for width + height)
+const COVERAGE_FIELDS = ['rfq_no', 'title', 'prod', 'size', 'print', 'stock', 'finish', 'packing', 'delivery', 'quantity'];
+
+const KIND_LINE_RE = /^([A-Za-z0-9][A-Za-z0-9_-]*)(?:\s*[x×]\s*(\d[\d,]*))?$/;
+const KINDS_HEADER_RE = /^(\d+)\s*kinds?$/i;
+const QUANTITY_LINE_RE = /^quantity\b\s*:?\s*(.*)$/i;
+
+function matchRfqField(line) {
+  for (const { field, re } of RFQ_FIELD_PATTERNS) {
+    const m = line.match(re);
+    if (m) return { field, value: m[1].trim() };
+  }
+  return null;
+}
 
-  const body = {
-    model: MODEL,
-    messages: [
-      {
-        role: "user",
-        content: prompt
-      }
-    ],
-    temperature: 0,
-    max_tokens: 2000
+function parseSize(value) {
+  const m = String(value || '').match(/(\d+(?:\.\d+)?)\s*(?:mm)?\s*[x×]\s*(\d+(?:\.\d+)?)\s*(?:mm)?/i);
+  if (!m) return { width: null, height: null };
+  return { width: Number(m[1]), height: Number(m[2]) };
+}
+
+/**
+ * Parse an RFQ that follows the structured Coles layout. An RFQ with several TITLE blocks
+ * gets one entry per block in extracted.items, the first also filling the top-level fields.
+ * @param {string} rawText - Email text (subject + body)
+ * @returns {Object|null} { extracted, coverage, missing, warnings, statedKindCount }
+ *   or null when the text does not follow the layout (no RFQ No. or SIZE line)
+ */
+function parseStructuredRfq(rawText) {
+  const lines = String(rawText || '').split(/\r?\n/).map(line => line.trim());
+
+  // Several TITLE (or PROD) blocks: one line item each, sharing the lines before the first
+  const startField = ['title', 'prod'].find(field => lines.filter(line => matchRfqField(line)?.field === field).length > 1);
+  if (!startField) return parseRfqBlock(lines);
+
+  const starts = lines.map((line, i) => (matchRfqField(line)?.field === startField ? i : -1)).filter(i => i !== -1);
+  const shared = lines.slice(0, starts[0]);
+  const blocks = starts.map((start, n) => parseRfqBlock([...shared, ...lines.slice(start, starts[n + 1])]));
+  if (blocks.some(block => block === null)) return null;
+
+  // RFQ-wide fields: found in any block counts (DELIVERY is often given once, after the last item)
+  const delivery = blocks.map(block => block.extracted.delivery).find(Boolean) || '';
+  const missing = [...new Set(blocks.flatMap(block => block.missing))]
+    .filter(field => !(field === 'delivery' && delivery));
+  const items = blocks.map(block => Object.fromEntries(ITEM_FIELDS.map(field => [field, block.extracted[field]])));
+
+  return {
+    extracted: { ...blocks[0].extracted, delivery, items },
+    coverage: (COVERAGE_FIELDS.length - missing.length) / COVERAGE_FIELDS.length,
+    missing,
+    warnings: blocks.flatMap((block, n) => block.warnings.map(w => `Item ${n + 1}: ${w}`)),
+    statedKindCount: blocks[0].statedKindCount
+  };
+}
+
+// One product of the structured layout (the whole RFQ, or one line item of it)
+function parseRfqBlock(lines) {
+
+  const extracted = {
+    rfq_no: "",
+    title: "",
+    prod: "",
+    width: null,
+    height: null,
+    kinds: [],
+    print: "",
+    stock: "",
+    finish: "",
+    packing: "",
+    delivery: "",
+    quantity: 0,
+    quantities: [],
+    items: []
   };
+  const found = new Set();
+  const warnings = [];
+  let statedKindCount = null;
+  let inKinds = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line) continue;
+
+    const header = matchRfqField(line);
+    if (header) {
+      const { field, value } = header;
+      if (found.has(field)) continue; // first occurrence wins
+      inKinds = false;
+
+      if (field === 'size') {
+        const { width, height } = parseSize(value);
+        extracted.width = width;
+        extracted.height = height;
+        if (width !== null && height !== null) found.add('size');
+        inKinds = true;
+      } else if (field === 'delivery') {
+        // DELIVERY continues on the following lines until a blank line or the Quantity table
+        const parts = value ? [value] : [];
+        while (i + 1 < lines.length && lines[i + 1] && !QUANTITY_LINE_RE.test(lines[i + 1]) && !matchRfqField(lines[i + 1])) {
+          parts.push(lines[++i]);
+        }
+        extracted.delivery = parts.join(' ').replace(/\s+/g, ' ').trim();
+        if (extracted.delivery) found.add('delivery');
+      } else if (field !== 'campaign') {
+        extracted[field] = value;
+        if (value) found.add(field);
+      }
 
-  const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
+      if (KINDS_END_FIELDS.includes(field)) inKinds = false;
+      continue;
+    }
+
+    const quantityLine = line.match(QUANTITY_LINE_RE);
+    if (quantityLine && !found.has('quantity')) {
+      inKinds = false;
+      // "Quantity: 1000" (or "Quantity: 500/1000/2500") on one line, or the "Quantity  Unit Price ..."
+      // table header followed by one value row per requested quantity
+      let quantities = /^\d/.test(quantityLine[1]) ? parseQuantityList(quantityLine[1]) : [];
+      if (quantities.length === 0) {
+        let j = i + 1;
+        while (j < lines.length && !lines[j]) j++;
+        for (; j < lines.length && /^\d/.test(lines[j]); j++) {
+          const qty = safeNumFromString(lines[j].split(/\s+/)[0]);
+          if (qty !== null && qty > 0) quantities.push(qty);
+        }
+      }
+      quantities = [...new Set(quantities)];
+      if (quantities.length > 0) {
+        extracted.quantity = quantities[0];
+        if (quantities.length > 1) extracted.quantities = quantities;
+        found.add('quantity');
+      }
+      continue;
+    }
 
-  if (!resp.ok) {
-    const t = await resp.text();
-    throw new Error(`OpenAI error ${resp.status}: ${t}`);
+    if (inKinds) {
+      const kindsHeader = line.match(KINDS_HEADER_RE);
+      if (kindsHeader) {
+        statedKindCount = Number(kindsHeader[1]);
+        continue;
+      }
+      const kindLine = line.match(KIND_LINE_RE);
+      // A kind has an "x N" count or a code with a digit in it; a lone word ("Artwork",
+      // "Notes") is not a kind
+      if (kindLine && (kindLine[2] || /\d/.test(kindLine[1]))) {
+        extracted.kinds.push({
+          kind: kindLine[1],
+          count: kindLine[2] ? safeNumFromString(kindLine[2]) : 0
+        });
+      } else {
+        warnings.push(`Unrecognised line in kinds block: "${line}"`);
+      }
+    }
   }
 
-  const j = await resp.json();
+  // Not this layout: leave it to the model
+  if (!found.has('rfq_no') || !found.has('size')) return null;
 
-  // Log finish_reason to detect truncation
-  logger.log(`OpenAI finish_reason: ${j.choices?.[0]?.finish_reason}, usage: ${JSON.stringify(j.usage)}`);
+  if (statedKindCount !== null && statedKindCount !== extracted.kinds.length) {
+    warnings.push(`RFQ states ${statedKindCount} kinds but ${extracted.kinds.length} were parsed`);
+  }
 
-  // extract text from chat completion response
-  let text = "";
-  if (j.choices?.[0]?.message?.content) {
-    text = j.choices[0].message.content;
-    logger.log(`OpenAI response length: ${text.length} chars`);
-  } else {
-    text = JSON.stringify(j);
+  // Single kind without a count takes the total quantity (same rule as the model prompt)
+  if (extracted.kinds.length === 1 && !extracted.kinds[0].count && extracted.quantity) {
+    extracted.kinds[0].count = extracted.quantity;
+  }
+
+  const missing = COVERAGE_FIELDS.filter(f => !found.has(f));
+  const coverage = (COVERAGE_FIELDS.length - missing.length) / COVERAGE_FIELDS.length;
+
+  return { extracted, coverage, missing, warnings, statedKindCount };
+}
+
+// ---------- Consistency checks ----------
+// "17 Kinds" / "3 kinds" header in the email body
+const STATED_KINDS_RE = /^\s*(\d+)\s*kinds?\s*$/im;
+
+/**
+ * Cross-check the extraction against the RFQ's own numbers: the stated "N Kinds" count,
+ * the stated total quantity and the kind codes themselves (per item for multi-item RFQs).
+ * @param {Object} extracted - Validated extractor object
+ * @param {string} rawText - Email text the extraction came from
+ * @returns {Object} { ok, issues, statedKindCount, kindsTotal, statedQuantity }
+ */
+function checkExtractionConsistency(extracted, rawText) {
+  const items = lineItemsFromExtracted(extracted);
+  const statedMatches = [...String(rawText || '').matchAll(new RegExp(STATED_KINDS_RE.source, 'gim'))].map(m => Number(m[1]));
+
+  if (items.length === 0) {
+    const statedKindCount = statedMatches.length ? statedMatches[0] : null;
+    return checkKinds(extracted, statedKindCount, '');
+  }
+
+  // Line items: each is checked on its own; "N Kinds" headers are matched to items only when
+  // every item has one
+  const results = items.map((item, i) => checkKinds(item, statedMatches.length === items.length ? statedMatches[i] : null, `Item ${i + 1}: `));
+  const issues = results.flatMap(r => r.issues);
+  return { ...results[0], ok: issues.length === 0, issues };
+}
+
+function checkKinds(extracted, statedKindCount, prefix) {
+  const issues = [];
+  const kinds = Array.isArray(extracted.kinds) ? extracted.kinds : [];
+
+  if (statedKindCount !== null && statedKindCount !== kinds.length) {
+    issues.push(`${prefix}RFQ states ${statedKindCount} kinds but ${kinds.length} were extracted`);
+  }
+
+  const seen = new Map();
+  for (const k of kinds) {
+    const code = String(k.kind || '').trim().toUpperCase();
+    seen.set(code, (seen.get(code) || 0) + 1);
+  }
+  const duplicates = [...seen.entries()].filter(([, n]) => n > 1).map(([code]) => code);
+  if (duplicates.length > 0) {
+    issues.push(`${prefix}Duplicate kind codes: ${duplicates.join(', ')}`);
+  }
+
+  if (kinds.length > 1) {
+    const withoutCount = kinds.filter(k => !Number(k.count)).map(k => k.kind);
+    if (withoutCount.length > 0) {
+      issues.push(`${prefix}${withoutCount.length} kind(s) have no count: ${withoutCount.join(', ')}`);
+    }
+  }
+
+  const kindsTotal = kinds.reduce((sum, k) => sum + (Number(k.count) || 0), 0);
+  const statedQuantity = Number(extracted.quantity) || 0;
+  if (kinds.length > 0 && kindsTotal > 0 && statedQuantity > 0 && kindsTotal !== statedQuantity) {
+    issues.push(`${prefix}Sum of kind counts (${kindsTotal}) does not match the stated quantity (${statedQuantity})`);
+  }
+
+  return { ok: issues.length === 0, issues, statedKindCount, kindsTotal, statedQuantity };
+}
+
+// ---------- OpenAI call ----------
+// The provider is created on first use so a missing key only fails the extraction,
+// not every module that requires this file.
+function getLlmProvider() {
+  if (!llmProvider) llmProvider = createProvider();
+  return llmProvider;
+}
+
+// repair (optional): { previousOutput, errors } from a failed attempt; the model is asked
+// to correct its previous answer in the same conversation
+async function callOpenAIForExtractor(rawText, repair = null) {
+  const prompt = PROMPT_TEMPLATE(rawText);
+  const provider = getLlmProvider();
+
+  const messages = [
+    {
+      role: "user",
+      content: prompt
+    }
+  ];
+  if (repair) {
+    messages.push(
+      { role: "assistant", content: repair.previousOutput },
+      { role: "user", content: REPAIR_PROMPT_TEMPLATE(repair.errors) }
+    );
   }
 
+  const { text, finishReason, usage } = await llmLimit(() => provider.complete(messages));
+
+  // Log finish_reason to detect truncation
+  logger.log(`${provider.name} finish_reason: ${finishReason}, usage: ${JSON.stringify(usage)}`);
+  logger.log(`${provider.name} response length: ${text.length} chars`);
+
   return text;
 }
 
-// ---------- Public function: convertWithOpenAI ----------
-// This function now:
-// 1) calls the model to get a small extractor JSON
-// 2) parses that JSON
-// 3) transforms to the final required JSON shape (with configurable defaults)
-async function convertWithOpenAI(rawText) {
-  // 1) ask model for compact extractor JSON
-  const modelText = await callOpenAIForExtractor(rawText);
-  logger.log("Open AI output: ", modelText)
+// ---------- Public functions: extractRfq / buildPayload / convertWithOpenAI ----------
+// extractRfq:
+// 1) tries the deterministic parser for the structured RFQ layout; only when it fails or
+//    reports low coverage, calls the model to get a small extractor JSON
+// 2) parses that JSON and validates it against EXTRACTION_SCHEMA; invalid output is sent back
+//    to the model with the validation errors, up to EXTRACTION_MAX_ATTEMPTS model calls
+// 3) cross-checks kinds against the RFQ's stated totals (`consistency`)
+// Every attempt is returned in `extractionAttempts`. When no attempt is valid the thrown
+// error carries them as `err.extractionAttempts`.
+async function extractRfq(rawText) {
+  let extracted = null;
+  let extractionSource = 'parser';
+  const extractionAttempts = [];
+
+  // 1a) rule-based extraction for the common layout (no model call)
+  const parsed = parseStructuredRfq(rawText);
+  if (parsed && parsed.coverage >= PARSER_MIN_COVERAGE && parsed.warnings.length === 0) {
+    const errors = validateExtraction(parsed.extracted);
+    extractionAttempts.push({ attempt: extractionAttempts.length + 1, source: 'parser', errors });
+    if (errors.length === 0) {
+      extracted = parsed.extracted;
+      logger.log(`Structured RFQ parser used (coverage ${parsed.coverage.toFixed(2)}), skipping model call`);
+    } else {
+      logger.warn(`Structured RFQ parser output failed validation: ${errors.join('; ')}`);
+    }
+  } else if (parsed) {
+    logger.log(`Structured RFQ parser coverage too low (${parsed.coverage.toFixed(2)}), missing: ${parsed.missing.join(', ') || 'none'}, warnings: ${parsed.warnings.join('; ') || 'none'}`);
+  }
 
-  // 2) parse model JSON
-  let extracted;
-  try {
-    extracted = parseModelTextToJson(modelText);
-  } catch (err) {
-    // If model failed to return valid JSON, throw to caller so they can decide fallback behavior.
-    throw new Error("Failed to parse extractor JSON from model: " + err.message + "\nModel raw output: " + modelText.slice(0, 1000));
+  if (!extracted) {
+    extractionSource = 'model';
+    let repair = null;
+
+    for (let attempt = 1; attempt <= EXTRACTION_MAX_ATTEMPTS && !extracted; attempt++) {
+      // 1b) ask model for compact extractor JSON (or a corrected one)
+      const modelText = await callOpenAIForExtractor(rawText, repair);
+      logger.log(`Open AI output (attempt ${attempt}/${EXTRACTION_MAX_ATTEMPTS}): `, modelText)
+
+      // 2) parse and validate model JSON
+      let candidate = null;
+      let errors;
+      try {
+        candidate = parseModelTextToJson(modelText);
+        errors = validateExtraction(candidate);
+      } catch (err) {
+        errors = [err.message.split('\n')[0]];
+      }
+
+      extractionAttempts.push({
+        attempt: extractionAttempts.length + 1,
+        source: 'model',
+        errors,
+        output: modelText.slice(0, 2000)
+      });
+
+      if (errors.length === 0) {
+        extracted = candidate;
+      } else {
+        logger.warn(`Extractor output failed validation (attempt ${attempt}/${EXTRACTION_MAX_ATTEMPTS}): ${errors.join('; ')}`);
+        repair = { previousOutput: modelText, errors };
+      }
+    }
+
+    if (!extracted) {
+      const lastErrors = extractionAttempts[extractionAttempts.length - 1].errors;
+      const err = new Error(`Extraction failed schema validation after ${EXTRACTION_MAX_ATTEMPTS} model attempt(s): ${lastErrors.join('; ')}`);
+      err.extractionAttempts = extractionAttempts;
+      throw err;
+    }
+  }
+
+  // Cross-check kinds against the RFQ's stated kind count and total quantity
+  const consistency = checkExtractionConsistency(extracted, rawText);
+  if (!consistency.ok) {
+    logger.warn(`Extraction consistency issues: ${consistency.issues.join('; ')}`);
   }
 
-  // Ensure fields exist
-  if (!extracted.kinds) extracted.kinds = [];
+  return { extracted, extractionSource, extractionAttempts, consistency };
+}
 
-  // 3) deterministic JS post-processing -> build final JSON
-  const result = buildFinalJsonFromExtracted(extracted, rawText);
-  const final = result.final;
-  const stockMappingUsed = result.stockMappingUsed;
+// buildPayload: deterministic JS post-processing of the extractor object -> final PrintIQ JSON
+// (with configurable defaults). options.customerProfile is the watched folder's profile
+// (see watch-config.js): its customer code and non-blank quote contact fields win.
+// A multi-item RFQ (extracted.items) gives the first item's payload with the others' in
+// final.AdditionalItems; processQuote (quote-processor.js) quotes each item on its own.
+function buildPayload(extracted, rawText, options = {}) {
+  const { customerProfile = null } = options;
+  const items = lineItemsFromExtracted(extracted);
+  const results = (items.length > 0 ? items : [extracted]).map(item => buildFinalJsonFromExtracted(item, rawText));
+
+  for (const { final } of results) {
+    // Enforce the always-required hard-coded fields (again) to be safe
+    final.CustomerCode = customerProfile?.customerCode || "C00014";
+    final.Deliveries = [];
+
+    for (const [field, value] of Object.entries(customerProfile?.quoteContact || {})) {
+      if (value) final.QuoteContact[field] = value;
+    }
+  }
 
-  // Enforce the always-required hard-coded fields (again) to be safe
-  final.CustomerCode = "C00014";
-  final.Deliveries = [];
+  const final = results[0].final;
+  if (results.length > 1) {
+    final.AdditionalItems = results.slice(1).map(r => r.final);
+  }
+  return { final, stockMappingUsed: results.every(r => r.stockMappingUsed) };
+}
 
-  return { final, extracted, stockMappingUsed };
+// convertWithOpenAI: extractRfq + buildPayload in one call
+async function convertWithOpenAI(rawText) {
+  const extraction = await extractRfq(rawText);
+  const { final, stockMappingUsed } = buildPayload(extraction.extracted, rawText);
+  return { final, stockMappingUsed, ...extraction };
 }
 
 /**
@@ -663,9 +1063,10 @@ async function processEmailWithOpenAI(emailText, options = {}) {
     }
 
     const result = await convertWithOpenAI(emailText);
-    const { final: payload, extracted, stockMappingUsed } = result;
+    const { final: payload, extracted, stockMappingUsed, extractionSource, extractionAttempts, consistency } = result;
 
     if (enableLogging) {
+      logger.log("Extraction source:", extractionSource);
       logger.log("Extracted data:", JSON.stringify(extracted, null, 2));
       logger.log("Payload (final JSON):", JSON.stringify(payload, null, 2));
       logger.log("Stock mapping used:", stockMappingUsed);
@@ -676,6 +1077,9 @@ async function processEmailWithOpenAI(emailText, options = {}) {
       payload,
       extracted,
       stockMappingUsed,
+      extractionSource,
+      extractionAttempts,
+      consistency,
       timestamp: Date.now()
     };
 
@@ -687,12 +1091,18 @@ async function processEmailWithOpenAI(emailText, options = {}) {
       payload: null,
       extracted: null,
       stockMappingUsed: false,
+      extractionAttempts: error.extractionAttempts || [],
       timestamp: Date.now()
     };
   }
 }
 
 module.exports = {
+  extractRfq,
+  buildPayload,
   convertWithOpenAI,
-  processEmailWithOpenAI
+  processEmailWithOpenAI,
+  parseStructuredRfq,
+  parseModelTextToJson,
+  checkExtractionConsistency
 };
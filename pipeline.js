@@ -0,0 +1,128 @@
+/* pipeline.js
+   The RFQ email pipeline: extract → build PrintIQ payload → create PrintIQ quote → reply.
+   Called directly by the worker (PIPELINE_MODE=inprocess) and by the webhook route.
+   With a jobId every stage is recorded in job_events, and stages that completed on an
+   earlier attempt (extraction, PrintIQ quote, reply) are reused, never redone.
+   Quotes that trip a review rule (see review-rules.js) are not replied to; the result
+   carries needsReview plus a reviewData snapshot for the admin review queue.
+   Jobs from a watched mailbox folder pass its mailbox, reply-from address and customer
+   profile (see watch-config.js).
+*/
+require('dotenv').config();
+const path = require('path');
+
+const { htmlToText } = require('./ms-graph-mail');
+const { processQuote } = require('./quote-processor');
+const { extractRfq, buildPayload } = require('./openai-converter');
+const { buildQuoteReply, sendQuoteReply } = require('./quote-reply');
+const { loadReviewRules, evaluateReviewRules } = require('./review-rules');
+const { resumeStage, recordJobEvent } = require('./job-store');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LOG_DIR = path.join(DATA_DIR, 'webhook-logs');
+
+/**
+ * Process one RFQ email
+ * @param {Object} email - { from, subject, text, html, raw, attachments, messageId }
+ *   messageId is the Graph message id; when set the reply goes in the original thread
+ * @param {Object} options - { jobId } to record and resume stages; { mailbox, replyFrom,
+ *   customerProfile } from the watched folder
+ * @returns {Promise<Object>} { ok, needsReview, reviewReasons, reviewData, createResult, priceInfo,
+ *   replyResult, shouldMarkAsRead, extractionAttempts }
+ * @throws {Error} When extraction fails (err.extractionAttempts) or PrintIQ quoting fails (err.debug)
+ */
+async function processEmail(email, options = {}) {
+  const { jobId = null, mailbox = null, replyFrom = null, customerProfile = null } = options;
+  const { from, subject, text, html, raw, messageId } = email;
+
+  // Process all emails from the selected folder (no subject filtering).
+  // Use the plain-text body; only fall back to converting HTML when no text was supplied,
+  // so the model never sees markup.
+  const bodyText = text || htmlToText(html || raw || '');
+  const emailText = `${subject || ''}\n\n${bodyText}`;
+
+  logger.log("Incoming email from:", from);
+  logger.log("Subject:", subject);
+
+  const result = await resumeStage(jobId, 'extract', { emailText }, () => extractRfq(emailText));
+  const extracted = result.extracted;
+  const built = await resumeStage(jobId, 'build_payload', { extracted }, () => buildPayload(extracted, emailText, { customerProfile }));
+  const payload = built.final;
+  const stockMappingUsed = built.stockMappingUsed;
+  logger.log("Payload:", JSON.stringify(payload, null, 2));
+  logger.log("Extracted:", JSON.stringify(extracted, null, 2));
+  logger.log("Stock mapping used:", stockMappingUsed);
+  logger.log("Extraction source:", result.extractionSource);
+
+  const reviewRules = loadReviewRules();
+  const reviewEmail = { from: from || '', subject: subject || '', text: bodyText, messageId: messageId || null, mailbox };
+  const holdForReview = (reviewReasons, extra = {}) => {
+    if (jobId) {
+      recordJobEvent({ jobId, stage: 'reply', status: 'skipped', output: { reason: 'needs-review', reviewReasons } });
+    }
+    return {
+      ok: true,
+      needsReview: true,
+      reviewReasons,
+      reviewData: { email: reviewEmail, extracted, payload, stockMappingUsed, priceInfo: null, ...extra },
+      replyResult: { ok: false, reason: 'needs-review' },
+      shouldMarkAsRead: false,
+      extractionAttempts: result.extractionAttempts
+    };
+  };
+
+  // Kinds/totals don't add up or the sender is unknown: hold for review before a quote is created
+  const extractionReasons = evaluateReviewRules({ consistency: result.consistency, from: from || '' }, reviewRules);
+  if (extractionReasons.length > 0) {
+    logger.warn("RFQ needs review, not quoting:", extractionReasons.join('; '));
+    return holdForReview(extractionReasons);
+  }
+
+  // A quote created on an earlier attempt is reused so a retry never creates a second one
+  const quoteResult = await resumeStage(jobId, 'printiq_quote', { payload }, () => processQuote(payload, { logDir: LOG_DIR }));
+
+  if (!quoteResult.success) {
+    logger.error("Failed to process quote:", quoteResult.error);
+    const err = new Error(quoteResult.error || 'PrintIQ quote failed');
+    err.debug = quoteResult.debug;
+    throw err;
+  }
+
+  const { createResult, priceInfo } = quoteResult;
+  let replyResult = { ok: false, reason: 'no-price-found' };
+  let shouldMarkAsRead = false;
+
+  if (priceInfo && typeof priceInfo.price !== 'undefined' && priceInfo.price !== null) {
+    // Quote created, but a rule says a human should check it before it goes out
+    const quoteReasons = evaluateReviewRules({ stockMappingUsed, priceInfo }, reviewRules);
+    if (quoteReasons.length > 0) {
+      logger.warn(`Quote ${priceInfo.quoteNo || ''} needs review, not replying:`, quoteReasons.join('; '));
+      return holdForReview(quoteReasons, { priceInfo });
+    }
+
+    const reply = buildQuoteReply({ payload, extracted, priceInfo, stockMappingUsed, from });
+    try {
+      replyResult = await resumeStage(jobId, 'reply', { messageId, mailbox, replyFrom, to: reply.to, subject: reply.subject },
+        () => sendQuoteReply({ messageId, mailbox, replyFrom, ...reply }));
+      // Only mark as read if reply was successfully sent
+      if (replyResult.ok) {
+        shouldMarkAsRead = true;
+      }
+    } catch (err) {
+      replyResult = { ok: false, error: String(err) };
+      logger.error("Error sending reply via Graph:", err);
+    }
+  } else {
+    logger.warn("No price found in createResult, not sending reply.");
+    if (jobId) {
+      recordJobEvent({ jobId, stage: 'reply', status: 'skipped', output: replyResult });
+    }
+  }
+
+  return { ok: true, createResult, priceInfo, replyResult, shouldMarkAsRead, extractionAttempts: result.extractionAttempts };
+}
+
+module.exports = {
+  processEmail
+};
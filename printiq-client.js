@@ -0,0 +1,257 @@
+/* printiq-client.js
+   The one place that talks to PrintIQ, used by quote-processor.js (quotes) and
+   admin-server.js (OData lists for the stock and process dropdowns).
+
+   Settings:
+     PRINTIQ_BASE_URL          - PrintIQ site, e.g. https://<tenant>.printiq.com (quote API)
+     PRINTIQ_ODATA_URL         - OData API (default PRINTIQ_BASE_URL + /api/v1/odata)
+     PRINTIQ_USER / PRINTIQ_PASSWORD / PRINTIQ_APPNAME / PRINTIQ_APPKEY - quote API login
+     PRINTIQ_ACCESS_TOKEN      - OData access token
+     PRINTIQ_TOKEN_TTL_MS      - how long a login token is reused (default 1800000, 30 minutes)
+     PRINTIQ_RETRIES           - retries for timeouts, network errors, 429 and 5xx (default 2);
+                                 GetPrice creates a quote, so it is only retried when the
+                                 request never reached PrintIQ or was answered 429
+     PRINTIQ_RETRY_DELAY_MS    - first retry delay, doubled each time (default 500)
+     REQUEST_TIMEOUT_MS        - per request (default 10000)
+     PRINTIQ_CONCURRENCY       - requests in flight at once in this process (default 2)
+
+   Errors carry err.status (HTTP status, when there was a response) and err.code:
+   'config', 'timeout', 'connect' (no connection, so nothing was sent), 'network', 'http',
+   'html' (an HTML page instead of JSON, usually a bad token or URL), 'no-token'.
+*/
+require('dotenv').config();
+const logger = require('./logger');
+const { createLimiter } = require('./concurrency');
+
+const PRINTIQ_BASE_URL = (process.env.PRINTIQ_BASE_URL || '').replace(/\/+$/, '');
+const PRINTIQ_ODATA_URL = (process.env.PRINTIQ_ODATA_URL || (PRINTIQ_BASE_URL ? `${PRINTIQ_BASE_URL}/api/v1/odata` : '')).replace(/\/+$/, '');
+const TOKEN_TTL_MS = Number(process.env.PRINTIQ_TOKEN_TTL_MS || 30 * 60 * 1000);
+const RETRIES = Math.max(0, Number(process.env.PRINTIQ_RETRIES ?? 2));
+const RETRY_DELAY_MS = Number(process.env.PRINTIQ_RETRY_DELAY_MS || 500);
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 10000);
+// PrintIQ requests in flight at once across all jobs in this process
+const printiqLimit = createLimiter(Number(process.env.PRINTIQ_CONCURRENCY || 2), 'printiq');
+
+function printiqError(message, code, status = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// Connection failures: the request was never sent
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// A request that is not idempotent may have been carried out when it timed out, lost its
+// connection or got a 5xx, so it is only repeated when it was never sent or was refused (429)
+function isRetryable(err, idempotent = true) {
+  if (err.code === 'connect' || err.status === 429) return true;
+  return idempotent && (['timeout', 'network'].includes(err.code) || err.status >= 500);
+}
+
+function looksLikeHtml(contentType, text) {
+  return (contentType || '').includes('text/html') || /^\s*</.test(text);
+}
+
+function tryParseJson(text) {
+  try { return { ok: true, value: JSON.parse(text) }; }
+  catch (err) { return { ok: false, error: err }; }
+}
+
+// One HTTP request. Resolves { status, body } for 2xx and 4xx answers (body parsed when
+// it is JSON); throws for timeouts, network errors, 5xx and HTML pages.
+async function sendOnce(url, { method = 'GET', headers = {}, body } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { Accept: 'application/json', ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+      throw printiqError(`PrintIQ request timed out after ${REQUEST_TIMEOUT_MS}ms`, 'timeout');
+    }
+    const code = CONNECT_ERROR_CODES.includes(err.cause?.code) ? 'connect' : 'network';
+    throw printiqError(`PrintIQ request failed: ${err.cause?.message || err.message}`, code);
+  }
+
+  const text = await response.text();
+  if (response.status >= 500) {
+    throw printiqError(`PrintIQ error ${response.status}: ${text.substring(0, 500)}`, 'http', response.status);
+  }
+  if (looksLikeHtml(response.headers.get('content-type'), text)) {
+    logger.error(`PrintIQ returned HTML instead of JSON (status ${response.status}): ${text.substring(0, 500)}`);
+    throw printiqError(
+      `PrintIQ returned HTML instead of JSON (status ${response.status}). This usually means the access token or URL is wrong.`,
+      'html', response.status);
+  }
+
+  const parsed = tryParseJson(text);
+  return { status: response.status, body: parsed.ok ? parsed.value : text };
+}
+
+/**
+ * Send a request to PrintIQ, retrying timeouts, network errors, 429 and 5xx with backoff
+ * @param {string} url - Full URL
+ * @param {Object} options - { method, headers, body (sent as JSON), idempotent (default true;
+ *   false retries only connection failures and 429) }
+ * @returns {Promise<Object>} { status, body } — 4xx answers are returned, not thrown
+ */
+async function printiqRequest(url, { idempotent = true, ...options } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await printiqLimit(() => sendOnce(url, options));
+    } catch (err) {
+      if (attempt >= RETRIES || !isRetryable(err, idempotent)) throw err;
+      const delay = RETRY_DELAY_MS * Math.pow(2, attempt);
+      logger.warn(`PrintIQ ${options.method || 'GET'} ${url.split('?')[0]} failed (${err.message}), retry ${attempt + 1}/${RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// -----------------------------------------
+// Quote API: login token (cached) and GetPrice
+// -----------------------------------------
+let cachedToken = null; // { token, expiresAt }
+let pendingToken = null;
+
+function requireBaseUrl() {
+  if (!PRINTIQ_BASE_URL) throw printiqError('PRINTIQ_BASE_URL environment variable not set', 'config');
+}
+
+// The login call answers with a bare (often quoted) string or an object holding it
+function parseToken(body) {
+  let token = null;
+  if (typeof body === 'string') {
+    token = body;
+  } else if (body && typeof body === 'object') {
+    token = body.Token || body.LoginToken || body.ApplicationToken ||
+      Object.values(body).find(v => typeof v === 'string' && v.length > 16) || null;
+  }
+  if (typeof token !== 'string') return null;
+  token = token.trim();
+  if (token.startsWith('"') && token.endsWith('"')) token = token.slice(1, -1);
+  return token || null;
+}
+
+async function requestLoginToken() {
+  requireBaseUrl();
+  const params = new URLSearchParams({
+    UserName: process.env.PRINTIQ_USER || '',
+    Password: process.env.PRINTIQ_PASSWORD || '',
+    ApplicationName: process.env.PRINTIQ_APPNAME || '',
+    ApplicationKey: process.env.PRINTIQ_APPKEY || ''
+  });
+  const { status, body } = await printiqRequest(`${PRINTIQ_BASE_URL}/api/QuoteProcess/GetApplicationLogInToken?${params}`, { method: 'POST' });
+  const token = status < 400 ? parseToken(body) : null;
+  if (!token) {
+    throw printiqError(`PrintIQ login failed (status ${status}): ${typeof body === 'string' ? body : JSON.stringify(body)}`, 'no-token', status);
+  }
+  return token;
+}
+
+/**
+ * Login token for the quote API, reused until PRINTIQ_TOKEN_TTL_MS has passed.
+ * Callers that get a token rejected call it again with { refresh: true }.
+ * @returns {Promise<string>} token
+ */
+async function getLoginToken({ refresh = false } = {}) {
+  if (!refresh && cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+  // Jobs asking at the same time share one login
+  if (!pendingToken) {
+    pendingToken = requestLoginToken()
+      .then(token => {
+        cachedToken = { token, expiresAt: Date.now() + TOKEN_TTL_MS };
+        logger.log('PrintIQ login token obtained');
+        return token;
+      })
+      .finally(() => { pendingToken = null; });
+  }
+  return pendingToken;
+}
+
+function clearLoginToken() {
+  cachedToken = null;
+}
+
+// GetPrice answers 401/403, or an error mentioning the token, once a token has expired
+function isTokenRejected({ status, body }) {
+  if (status === 401 || status === 403) return true;
+  const message = body && typeof body === 'object' ? String(body.ErrorMessage || '') : String(body || '');
+  return Boolean(body?.IsError !== false && /token/i.test(message) && /(invalid|expired|not valid)/i.test(message));
+}
+
+/**
+ * Create a quote (GetPrice). A rejected cached token is replaced and the call made once more.
+ * Not idempotent: a timeout or 5xx may have created the quote, so those are not retried.
+ * @param {Object} payload - PrintIQ quote payload
+ * @returns {Promise<Object>} { status, body }
+ */
+async function getPrice(payload) {
+  requireBaseUrl();
+  const send = async (token) => printiqRequest(
+    `${PRINTIQ_BASE_URL}/api/QuoteProcess/GetPrice?LoginToken=${encodeURIComponent(token)}`,
+    { method: 'POST', body: payload, idempotent: false });
+
+  let result = await send(await getLoginToken());
+  if (isTokenRejected(result)) {
+    logger.warn('PrintIQ rejected the cached login token, logging in again');
+    clearLoginToken();
+    result = await send(await getLoginToken({ refresh: true }));
+  }
+  return result;
+}
+
+// -----------------------------------------
+// OData API (stock definitions, processes)
+// -----------------------------------------
+
+/**
+ * Fetch every row of an OData entity set, following @odata.nextLink
+ * (an absolute URL, or else the next page is requested with $skip)
+ * @param {string} entity - e.g. 'StockDefinitions', 'Processes'
+ * @returns {Promise<Array>} rows
+ */
+async function fetchODataAll(entity) {
+  const accessToken = process.env.PRINTIQ_ACCESS_TOKEN;
+  if (!accessToken) throw printiqError('PRINTIQ_ACCESS_TOKEN environment variable not set', 'config');
+  if (!PRINTIQ_ODATA_URL) throw printiqError('PRINTIQ_ODATA_URL (or PRINTIQ_BASE_URL) environment variable not set', 'config');
+
+  const rows = [];
+  let url = `${PRINTIQ_ODATA_URL}/${entity}`;
+  let skip = 0;
+  while (url) {
+    const { status, body } = await printiqRequest(url, { headers: { 'PrintIQ-Access-Token': accessToken } });
+    if (status >= 400) {
+      throw printiqError(`PrintIQ API error ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`, 'http', status);
+    }
+    const page = Array.isArray(body?.value) ? body.value : [];
+    rows.push(...page);
+
+    const nextLink = body?.['@odata.nextLink'];
+    if (!nextLink || page.length === 0) break;
+    if (/^https?:\/\//i.test(nextLink)) {
+      url = nextLink;
+    } else {
+      skip += page.length;
+      url = `${PRINTIQ_ODATA_URL}/${entity}?$skip=${skip}`;
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  PRINTIQ_BASE_URL,
+  PRINTIQ_ODATA_URL,
+  printiqRequest,
+  parseToken,
+  getLoginToken,
+  clearLoginToken,
+  getPrice,
+  fetchODataAll
+};
@@ -1,144 +1,270 @@
 /* quote-processor.js
    Handles PrintIQ quote creation and price extraction functionality.
-   Extracted for testability and separation of concerns.
+   Extracted for testability and separation of concerns. The HTTP side (login token cache,
+   retries, URLs) lives in printiq-client.js.
 */
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const logger = require('./logger');
+const printiq = require('./printiq-client');
 
-const PRINTIQ_USER = process.env.PRINTIQ_USER;
-const PRINTIQ_PASSWORD = process.env.PRINTIQ_PASSWORD;
-const PRINTIQ_APPNAME = process.env.PRINTIQ_APPNAME;
-const PRINTIQ_APPKEY = process.env.PRINTIQ_APPKEY;
-const PRINTIQ_BASE_URL = process.env.PRINTIQ_BASE_URL;
-const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 10000);
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const LOG_DIR = path.join(DATA_DIR, 'webhook-logs');
 
-function tryParseJson(text) {
-  try { return { ok: true, value: JSON.parse(text) }; }
-  catch (err) { return { ok: false, error: err }; }
-}
-
+// Login token (cached by printiq-client.js) → { success, token } or { success: false, reason, raw }
 async function getPrintIQToken() {
-  const user = PRINTIQ_USER;
-  const pass = PRINTIQ_PASSWORD;
-  const app = PRINTIQ_APPNAME;
-  const key = PRINTIQ_APPKEY;
-
-  const baseUrl = new URL(PRINTIQ_BASE_URL);
-  const hostname = baseUrl.hostname;
-  const path = `${baseUrl.pathname}/api/QuoteProcess/GetApplicationLogInToken?UserName=${user}&Password=${pass}&ApplicationName=${app}&ApplicationKey=${key}`;
-
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      method: 'POST',
-      hostname: hostname,
-      path,
-      headers: { 'Accept': 'application/json' },
-      timeout: REQUEST_TIMEOUT_MS
-    }, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        const raw = Buffer.concat(chunks).toString().trim();
-        const parsed = tryParseJson(raw);
-        let token = null;
-        if (parsed.ok) {
-          const body = parsed.value;
-          if (typeof body === 'string') token = body;
-          else if (body && typeof body === 'object') {
-            token = body.Token || body.LoginToken || body.ApplicationToken;
-            if (!token) {
-              const candidate = Object.values(body).find(v => typeof v === 'string' && v.length > 16);
-              if (candidate) token = candidate;
-            }
-          }
-        } else {
-          token = raw;
-        }
-        if (!token) return resolve({ success: false, reason: 'no-token', raw });
-        if (typeof token === 'string') {
-          token = token.trim();
-          if (token.startsWith('"') && token.endsWith('"')) token = token.slice(1, -1);
-        }
-        resolve({ success: true, token });
-      });
-      res.on('error', err => reject(err));
-    });
-    req.on('error', err => reject(err));
-    req.on('timeout', () => { req.destroy(new Error('timeout')); });
-    req.end();
-  });
+  try {
+    return { success: true, token: await printiq.getLoginToken() };
+  } catch (err) {
+    return { success: false, reason: err.code || 'no-token', raw: err.message };
+  }
 }
 
+// GetPrice with the given token (the client's cached token when none is given) → { status, body }
 async function createQuoteOnPrintIQ(payload, tokenRaw) {
-  const token = encodeURIComponent(String(tokenRaw || '').trim());
-  const baseUrl = new URL(PRINTIQ_BASE_URL);
-  const hostname = baseUrl.hostname;
-  const path = `${baseUrl.pathname}/api/QuoteProcess/GetPrice?LoginToken=${token}`;
-  const body = JSON.stringify(payload);
-
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      method: 'POST',
-      hostname: hostname,
-      path,
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(body),
-        'Accept': 'application/json'
-      },
-      timeout: REQUEST_TIMEOUT_MS
-    }, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        const raw = Buffer.concat(chunks).toString();
-        try { resolve({ status: res.statusCode, body: JSON.parse(raw) }); }
-        catch { resolve({ status: res.statusCode, body: raw }); }
-      });
-      res.on('error', reject);
-    });
+  if (!tokenRaw) return printiq.getPrice(payload);
+  return printiq.printiqRequest(
+    `${printiq.PRINTIQ_BASE_URL}/api/QuoteProcess/GetPrice?LoginToken=${encodeURIComponent(String(tokenRaw).trim())}`,
+    { method: 'POST', body: payload, idempotent: false });
+}
 
-    req.on('error', (err) => {
-      reject(err);
-    });
+// -----------------------------------------
+// Price extraction
+// -----------------------------------------
+// Quantities[].Price is the unit price (ex tax). The other field names differ between PrintIQ
+// versions and product types, so each value is read from the first of several names present.
+const UNIT_PRICE_FIELDS = ['Price', 'UnitPrice', 'PricePerUnit'];
+const TOTAL_FIELDS = ['TotalPrice', 'Total', 'PriceExTax', 'TotalExTax'];
+const TAX_FIELDS = ['Tax', 'TaxAmount', 'GST', 'Gst'];
+const TOTAL_INC_TAX_FIELDS = ['TotalPriceIncTax', 'TotalIncTax', 'PriceIncTax', 'PriceIncludingTax'];
+const FREIGHT_FIELDS = ['Freight', 'FreightPrice', 'FreightCost', 'DeliveryPrice'];
 
-    req.on('timeout', () => { req.destroy(new Error('timeout')); });
+function pickNumber(obj, names) {
+  for (const name of names) {
+    const value = obj?.[name];
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))) return Number(value);
+  }
+  return null;
+}
 
-    req.write(body);
-    req.end();
-  });
+function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
+// Sum of the non-null values, or null when there are none
+function sumOrNull(values) {
+  const present = values.filter(v => v !== null);
+  return present.length ? round2(present.reduce((s, v) => s + v, 0)) : null;
+}
+
+// Kind-level prices of a multi-kind (AdvancedKinds) quantity
+function extractKindPrices(q) {
+  const list = [q.KindPrices, q.KindDetails, q.AdvancedKinds?.Kinds, q.Kinds].find(Array.isArray) || [];
+  return list.map((k, i) => ({
+    name: String(k.KindName || k.Name || k.Kind || `Kind ${i + 1}`),
+    quantity: pickNumber(k, ['Quantity', 'Qty']),
+    price: pickNumber(k, UNIT_PRICE_FIELDS),
+    total: pickNumber(k, TOTAL_FIELDS)
+  }));
+}
+
+function extractQuantity(q) {
+  const quantity = pickNumber(q, ['Quantity', 'QuantityToDisplay']);
+  const price = pickNumber(q, UNIT_PRICE_FIELDS);
+  const tax = pickNumber(q, TAX_FIELDS);
+  const kindPrices = extractKindPrices(q);
+
+  let total = pickNumber(q, TOTAL_FIELDS);
+  if (total === null && price !== null && quantity) total = round2(price * quantity);
+  let totalIncTax = pickNumber(q, TOTAL_INC_TAX_FIELDS);
+  if (totalIncTax === null && total !== null && tax !== null) totalIncTax = round2(total + tax);
+
+  return {
+    quantity,
+    quantityText: q.QuantityToDisplay != null ? String(q.QuantityToDisplay) : (quantity !== null ? String(quantity) : ''),
+    kinds: Array.isArray(q.Kinds) ? q.Kinds.length : (pickNumber(q, ['Kinds']) || kindPrices.length || null),
+    price,
+    total,
+    tax,
+    totalIncTax,
+    freight: pickNumber(q, FREIGHT_FIELDS),
+    kindPrices
+  };
+}
+
+/**
+ * Price breakdown of a GetPrice result. price/qty/quoteNo are the first product's first
+ * quantity, as the reply and review rules have always used; products lists every product
+ * and quantity. The quote totals add up each product's first quantity (further quantities
+ * are price breaks, alternatives to it) plus any quote-level freight.
+ * @param {Object} createResult - { status, body } from GetPrice
+ * @returns {Object|null} { price, qty, quoteNo, quoteId, products: [{ description,
+ *   quantities: [{ quantity, quantityText, kinds, price, total, tax, totalIncTax, freight,
+ *   kindPrices: [{ name, quantity, price, total }] }] }], total, tax, totalIncTax, freight }
+ */
 function extractPriceInfo(createResult) {
   try {
     const body = createResult && createResult.body;
     if (!body || !body.QuoteDetails) return null;
     const q = body.QuoteDetails;
-    const quoteNo = q.QuoteNo || '';
-    const price = q.Products?.[0]?.Quantities?.[0]?.Price;
-    const qty = q.Products?.[0]?.Quantities?.[0]?.Quantity || q.Products?.[0]?.Quantities?.[0]?.QuantityToDisplay || '';
-    return { price, qty, quoteNo };
+
+    const products = (Array.isArray(q.Products) ? q.Products : []).map((product, i) => ({
+      description: String(product.ProductDescription || product.Description || product.JobTitle || `Product ${i + 1}`),
+      quantities: (Array.isArray(product.Quantities) ? product.Quantities : []).map(extractQuantity)
+    }));
+    const selected = products.map(p => p.quantities[0]).filter(Boolean);
+    const first = selected[0] || null;
+    const freight = sumOrNull([...selected.map(s => s.freight), pickNumber(q, FREIGHT_FIELDS)]);
+
+    return {
+      price: first ? first.price : null,
+      qty: first ? (first.quantity ?? first.quantityText) : '',
+      quoteNo: q.QuoteNo || '',
+      quoteId: q.QuoteID ?? q.QuoteId ?? null,
+      products,
+      total: sumOrNull(selected.map(s => s.total)),
+      tax: sumOrNull(selected.map(s => s.tax)),
+      totalIncTax: sumOrNull(selected.map(s => s.totalIncTax)),
+      freight
+    };
   } catch (err) {
     return null;
   }
 }
 
+function hasPrice(priceInfo) {
+  return Boolean(priceInfo && priceInfo.price !== null && priceInfo.price !== undefined);
+}
+
+// The PrintIQ quote numbers a request created (one per quantity break or line item)
+function quoteNumbers(priceInfos) {
+  return priceInfos.map(priceInfo => priceInfo?.quoteNo).filter(Boolean);
+}
+
+// -----------------------------------------
+// Quantity breaks
+// -----------------------------------------
+// payload.QuantityBreaks (set by buildPayload when the buyer asks for several quantities) is not
+// a PrintIQ field: GetPrice prices the one SelectedQuantity it is sent and has no field for
+// several, so each quantity is priced with its own GetPrice and the field is never sent.
+function quantityBreaksOf(payload) {
+  const breaks = Array.isArray(payload.QuantityBreaks)
+    ? payload.QuantityBreaks.map(Number).filter(q => Number.isFinite(q) && q > 0)
+    : [];
+  return [...new Set(breaks)];
+}
+
+// The payload to send for one quantity; multi-kind (AdvancedKinds) counts keep their share of the total
+function payloadForQuantity(payload, quantity) {
+  const { QuantityBreaks, AdditionalItems, ...rest } = payload;
+  const copy = JSON.parse(JSON.stringify(rest));
+  if (quantity === undefined) return copy;
+
+  const selected = copy.SelectedQuantity || (copy.SelectedQuantity = {});
+  const base = Number(selected.Quantity) || 0;
+  const kinds = selected.AdvancedKinds?.Kinds;
+  if (Array.isArray(kinds) && kinds.length > 0 && base > 0 && quantity !== base) {
+    let assigned = 0;
+    kinds.forEach((kind, i) => {
+      kind.Quantity = i === kinds.length - 1
+        ? Math.max(0, quantity - assigned)
+        : Math.round((Number(kind.Quantity) || 0) * quantity / base);
+      assigned += kind.Quantity;
+    });
+  }
+  selected.Quantity = quantity;
+  return copy;
+}
+
+// One priceInfo for every break: the first priced break's figures at the top level (as the
+// review rules and reply have always used), and each break with its quote number, or the
+// reason it has no price, in products[0].quantities
+function mergeQuantityBreaks(breakResults) {
+  const priced = breakResults.filter(r => hasPrice(r.priceInfo));
+  if (priced.length === 0) return breakResults[0]?.priceInfo || null;
+
+  const base = priced[0].priceInfo;
+  const quantities = breakResults.map(r => {
+    const q = r.priceInfo?.products?.[0]?.quantities?.[0];
+    if (q && q.price !== null) return { ...q, quoteNo: r.priceInfo.quoteNo };
+    return {
+      quantity: r.quantity,
+      quantityText: String(r.quantity),
+      kinds: null,
+      price: null,
+      total: null,
+      tax: null,
+      totalIncTax: null,
+      freight: null,
+      kindPrices: [],
+      quoteNo: r.priceInfo?.quoteNo || '',
+      error: r.error || 'No price returned'
+    };
+  });
+  return {
+    ...base,
+    products: [{ description: base.products[0]?.description || '', quantities }],
+    quantityBreaks: breakResults.map(r => r.quantity)
+  };
+}
+
+// -----------------------------------------
+// Multi-item RFQs
+// -----------------------------------------
+// payload.AdditionalItems (set by buildPayload when an RFQ lists several products) holds the
+// PrintIQ payloads of the items after the first; the payload itself is the first item. Like
+// QuantityBreaks it is not a PrintIQ field: every item is quoted on its own.
+function lineItemsOf(payload) {
+  const additional = Array.isArray(payload.AdditionalItems)
+    ? payload.AdditionalItems.filter(item => item && typeof item === 'object')
+    : [];
+  return [payload, ...additional];
+}
+
+// One priceInfo for the whole RFQ: the first priced item's figures at the top level (price, qty
+// and quoteNo for the review rules), the totals of every priced item, and each item's own
+// priceInfo, or the reason it has none, in items
+function mergeLineItems(itemResults) {
+  const items = itemResults.map(r => {
+    const priced = hasPrice(r.priceInfo);
+    return {
+      title: r.title,
+      quoteNo: r.priceInfo?.quoteNo || '',
+      priceInfo: priced ? r.priceInfo : null,
+      error: priced ? null : (r.error || r.createResult?.body?.ErrorMessage || 'No price returned')
+    };
+  });
+  const priced = items.filter(item => item.priceInfo).map(item => item.priceInfo);
+  const first = priced[0] || { price: null, qty: '', quoteNo: '', quoteId: null, products: [] };
+
+  return {
+    ...first,
+    total: sumOrNull(priced.map(p => p.total ?? null)),
+    tax: sumOrNull(priced.map(p => p.tax ?? null)),
+    totalIncTax: sumOrNull(priced.map(p => p.totalIncTax ?? null)),
+    freight: sumOrNull(priced.map(p => p.freight ?? null)),
+    items
+  };
+}
+
 /**
  * Main function that processes a quote request
- * @param {Object} payload - The quote payload
+ * @param {Object} payload - The quote payload; with QuantityBreaks, one quote per quantity;
+ *   with AdditionalItems, one quote per line item
  * @param {Object} options - Options including logDir for file logging
- * @returns {Object} Result containing createResult, priceInfo, and success status
+ * @returns {Object} Result containing createResult, priceInfo, and success status; quoteNos lists
+ *   every PrintIQ quote created (with quantity breaks also createResults, one per quantity;
+ *   with line items itemResults)
  */
 async function processQuote(payload, options = {}) {
   const { logDir = LOG_DIR } = options;
+  const items = lineItemsOf(payload);
   
   // Ensure payload has required fields
-  payload.CustomerCode = payload.CustomerCode || "C00014";
+  for (const item of items) {
+    item.CustomerCode = item.CustomerCode || "C00014";
+  }
 
   const stamp = Date.now();
   
@@ -149,7 +275,7 @@ async function processQuote(payload, options = {}) {
       fs.writeFileSync(path.join(logDir, `payload-${stamp}.json`), JSON.stringify(payload, null, 2));
     }
 
-    // Get authentication token
+    // Get authentication token (reused across quotes until it expires)
     const tokenResult = await getPrintIQToken();
     if (!tokenResult.success) {
       logger.error("Failed to obtain token:", tokenResult.raw || tokenResult.reason);
@@ -162,44 +288,158 @@ async function processQuote(payload, options = {}) {
       };
     }
 
-    // Create quote
-    const createResult = await createQuoteOnPrintIQ(payload, tokenResult.token);
-    
-    // Save result for debugging
-    if (logDir) {
-      fs.writeFileSync(path.join(logDir, `create-${stamp}.json`), JSON.stringify({ createResult }, null, 2));
+    if (items.length > 1) {
+      return await processLineItems(items, { logDir, stamp });
     }
+    return await quoteItem(payload, { logDir, stamp });
 
-    logger.log("Create result status:", createResult.status);
-    if (createResult.body?.IsError) {
-      logger.log("Create result error:", createResult.body.ErrorMessage);
-    }
+  } catch (error) {
+    logger.error("Quote processing error:", error);
+    return {
+      success: false,
+      error: String(error),
+      createResult: null,
+      priceInfo: null,
+      timestamp: stamp
+    };
+  }
+}
+
+// One item: a single GetPrice, or one per quantity break
+async function quoteItem(payload, { logDir, stamp }) {
+  const breaks = quantityBreaksOf(payload);
+  if (breaks.length > 1) {
+    return processQuantityBreaks(payload, breaks, { logDir, stamp });
+  }
+
+  // Create quote (a rejected token is renewed once, transient errors are retried)
+  const createResult = await printiq.getPrice(payloadForQuantity(payload, breaks[0]));
+  
+  // Save result for debugging
+  if (logDir) {
+    fs.writeFileSync(path.join(logDir, `create-${stamp}.json`), JSON.stringify({ createResult }, null, 2));
+  }
+
+  logger.log("Create result status:", createResult.status);
+  if (createResult.body?.IsError) {
+    logger.log("Create result error:", createResult.body.ErrorMessage);
+  }
 
-    // Extract price information
-    const priceInfo = extractPriceInfo(createResult);
+  // Extract price information
+  const priceInfo = extractPriceInfo(createResult);
 
+  // An error answer or a quote without a price is a failed quote: it is not stored as a
+  // completed stage, so a retry asks PrintIQ again
+  if (createResult.body?.IsError || !hasPrice(priceInfo)) {
     return {
-      success: true,
+      success: false,
+      error: createResult.body?.ErrorMessage || 'No price returned',
       createResult,
       priceInfo,
+      quoteNos: quoteNumbers([priceInfo]),
+      timestamp: stamp
+    };
+  }
+
+  return {
+    success: true,
+    createResult,
+    priceInfo,
+    quoteNos: quoteNumbers([priceInfo]),
+    timestamp: stamp
+  };
+}
+
+// One quote per line item. An item that fails is listed with its error and the others are
+// still quoted; the RFQ only fails when every item did.
+async function processLineItems(items, { logDir, stamp }) {
+  logger.log(`Quoting ${items.length} line items`);
+  const itemResults = [];
+  for (const [i, item] of items.entries()) {
+    let result;
+    try {
+      result = await quoteItem(item, { logDir, stamp: `${stamp}-item${i + 1}` });
+    } catch (err) {
+      logger.error(`Quote processing error for item ${i + 1}:`, err);
+      result = { success: false, error: String(err), createResult: null, priceInfo: null };
+    }
+    itemResults.push({ title: item.JobTitle || `Item ${i + 1}`, ...result });
+  }
+
+  const quoteNos = itemResults.flatMap(r => r.quoteNos || []);
+  if (itemResults.every(r => !r.success)) {
+    return {
+      success: false,
+      error: itemResults[0].error,
+      createResult: null,
+      priceInfo: null,
+      quoteNos,
       timestamp: stamp
     };
+  }
 
-  } catch (error) {
-    logger.error("Quote processing error:", error);
+  return {
+    success: true,
+    createResult: itemResults.find(r => r.createResult)?.createResult || null,
+    quoteNos,
+    itemResults: itemResults.map(({ title, success, error, createResult, createResults }) =>
+      ({ title, success, error: error || null, createResult, ...(createResults ? { createResults } : {}) })),
+    priceInfo: mergeLineItems(itemResults),
+    timestamp: stamp
+  };
+}
+
+// One GetPrice per quantity break, so one PrintIQ quote per break (see quantityBreaksOf). Every
+// quote number is returned in quoteNos, which is stored with the job's printiq_quote stage, so
+// the extra quotes can be found in PrintIQ. A break that fails is reported in its row; the
+// quote only fails when no break was priced.
+async function processQuantityBreaks(payload, breaks, { logDir, stamp }) {
+  logger.log(`Pricing ${breaks.length} quantity breaks: ${breaks.join(', ')}`);
+  const breakResults = [];
+  for (const quantity of breaks) {
+    try {
+      const createResult = await printiq.getPrice(payloadForQuantity(payload, quantity));
+      const error = createResult.body?.IsError ? (createResult.body.ErrorMessage || 'PrintIQ error') : null;
+      if (error) logger.log(`Create result error for quantity ${quantity}:`, error);
+      breakResults.push({ quantity, createResult, priceInfo: extractPriceInfo(createResult), error });
+    } catch (err) {
+      logger.error(`Quote processing error for quantity ${quantity}:`, err);
+      breakResults.push({ quantity, createResult: null, priceInfo: null, error: String(err) });
+    }
+  }
+
+  if (logDir) {
+    fs.writeFileSync(path.join(logDir, `create-${stamp}.json`), JSON.stringify({ createResults: breakResults }, null, 2));
+  }
+
+  const quoteNos = quoteNumbers(breakResults.map(r => r.priceInfo));
+  logger.log(`Quantity breaks created ${quoteNos.length} PrintIQ quotes: ${quoteNos.join(', ')}`);
+
+  if (!breakResults.some(r => hasPrice(r.priceInfo))) {
     return {
       success: false,
-      error: String(error),
+      error: breakResults[0].error || 'No price returned',
       createResult: null,
       priceInfo: null,
+      quoteNos,
       timestamp: stamp
     };
   }
+
+  return {
+    success: true,
+    createResult: breakResults.find(r => r.createResult)?.createResult || null,
+    quoteNos,
+    createResults: breakResults.map(({ quantity, createResult, error }) => ({ quantity, createResult, error })),
+    priceInfo: mergeQuantityBreaks(breakResults),
+    timestamp: stamp
+  };
 }
 
 module.exports = {
   getPrintIQToken,
   createQuoteOnPrintIQ,
   extractPriceInfo,
+  payloadForQuantity,
   processQuote
-};
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,162 @@
+/* quote-reply.js
+   Builds the quote reply email and sends it through Microsoft Graph.
+   Shared by the webhook (automatic replies) and the admin server (replies approved
+   from the review queue).
+*/
+require('dotenv').config();
+const { sendMailOffice365, replyToMessageOffice365 } = require('./ms-graph-mail');
+const logger = require('./logger');
+
+// How quotes are replied to: 'reply' (original sender), 'replyAll', or 'new' (standalone message)
+const REPLY_MODE = (process.env.REPLY_MODE || 'reply').toLowerCase();
+
+function money(value) {
+  return value === null || value === undefined ? '' : Number(value).toFixed(2);
+}
+
+// Unit prices of bulk items run below a dollar, so those get four decimals
+function unitMoney(value) {
+  if (value === null || value === undefined) return '';
+  const n = Number(value);
+  return n.toFixed(Math.abs(n) < 1 ? 4 : 2);
+}
+
+// Quote numbers in the breakdown: one, or one per quantity break or line item
+function quoteNumbersOf(priceInfo) {
+  if (Array.isArray(priceInfo.items) && priceInfo.items.length > 1) {
+    return [...new Set(priceInfo.items.filter(item => item.priceInfo).flatMap(item => quoteNumbersOf(item.priceInfo)))];
+  }
+  const rows = (priceInfo.products || []).flatMap(p => p.quantities);
+  return [...new Set([priceInfo.quoteNo, ...rows.map(r => r.quoteNo)].filter(Boolean))];
+}
+
+function quoteLabel(quoteNumbers) {
+  return `${quoteNumbers.length > 1 ? 'Quotes' : 'Quote'} ${quoteNumbers.join(', ')}`;
+}
+
+// Price lines for one product with one quantity; a table for anything more
+function priceBreakdownHtml(priceInfo) {
+  const products = priceInfo.products || [];
+  const rows = products.flatMap(p => p.quantities.map(q => ({ product: p.description, ...q })));
+  const simple = products.length <= 1 && rows.length <= 1 && !(rows[0]?.kindPrices?.length > 1);
+
+  if (simple) {
+    const extras = [
+      priceInfo.total !== null && priceInfo.total !== undefined ? `<strong>Total:</strong> ${money(priceInfo.total)} (ex GST)` : '',
+      priceInfo.tax !== null && priceInfo.tax !== undefined ? `<strong>GST:</strong> ${money(priceInfo.tax)}` : '',
+      priceInfo.freight ? `<strong>Freight:</strong> ${money(priceInfo.freight)}` : '',
+      priceInfo.totalIncTax !== null && priceInfo.totalIncTax !== undefined ? `<strong>Total inc GST:</strong> ${money(priceInfo.totalIncTax)}` : ''
+    ].filter(Boolean);
+    return `<p><strong>Estimated unit price:</strong> ${unitMoney(priceInfo.price)} (ex GST)<br/><strong>Quantity:</strong> ${priceInfo.qty || ''}` +
+      `${extras.length ? '<br/>' + extras.join('<br/>') : ''}</p>`;
+  }
+
+  const cell = 'style="border: 1px solid #ccc; padding: 4px 8px;"';
+  const num = 'style="border: 1px solid #ccc; padding: 4px 8px; text-align: right;"';
+  // Quantity breaks are separate PrintIQ quotes, so each row names its own
+  const quoteColumn = quoteNumbersOf(priceInfo).length > 1;
+  const body = rows.map(r => {
+    const quote = quoteColumn ? `<td ${cell}>${r.quoteNo || ''}</td>` : '';
+    if (r.error) {
+      return `<tr><td ${cell}>${r.product}</td>${quote}<td ${num}>${r.quantityText}</td><td ${cell} colspan="4">No price: ${r.error}</td></tr>`;
+    }
+    // A single kind is the row itself
+    const kinds = (r.kindPrices?.length > 1 ? r.kindPrices : []).map(k => `<tr><td ${cell}>&nbsp;&nbsp;${k.name}</td>${quoteColumn ? `<td ${cell}></td>` : ''}<td ${num}>${k.quantity ?? ''}</td>` +
+      `<td ${num}>${unitMoney(k.price)}</td><td ${num}>${money(k.total)}</td><td ${num}></td><td ${num}></td></tr>`).join('\n');
+    return `<tr><td ${cell}>${r.product}</td>${quote}<td ${num}>${r.quantityText}</td><td ${num}>${unitMoney(r.price)}</td>` +
+      `<td ${num}>${money(r.total)}</td><td ${num}>${money(r.tax)}</td><td ${num}>${money(r.totalIncTax)}</td></tr>${kinds ? '\n' + kinds : ''}`;
+  }).join('\n');
+  const freight = priceInfo.freight ? `<p><strong>Freight:</strong> ${money(priceInfo.freight)}</p>` : '';
+
+  return `<table style="border-collapse: collapse;">
+<tr><th ${cell}>Item</th>${quoteColumn ? `<th ${cell}>Quote</th>` : ''}<th ${cell}>Quantity</th><th ${cell}>Unit price (ex GST)</th><th ${cell}>Total (ex GST)</th><th ${cell}>GST</th><th ${cell}>Total inc GST</th></tr>
+${body}
+</table>
+${freight}`;
+}
+
+function clientInfoHtml(info) {
+  return `<ul>
+<li><strong>PROD:</strong> ${info.prod || 'Not specified'}</li>
+<li><strong>PRINT:</strong> ${info.print || 'Not specified'}</li>
+<li><strong>STOCK:</strong> ${info.stock || 'Not specified'}</li>
+<li><strong>FINISH:</strong> ${info.finish || 'Not specified'}</li>
+<li><strong>PACKING:</strong> ${info.packing || 'Not specified'}</li>
+</ul>`;
+}
+
+// Multi-item RFQs: each item with its own quote and client information, items without a price
+// included with the reason, then the totals of the priced items
+function lineItemsHtml(priceInfo, extractedItems) {
+  const sections = priceInfo.items.map((item, i) => {
+    const info = extractedItems[i] || {};
+    const heading = `<p><strong>Item ${i + 1}: ${info.title || info.prod || item.title}</strong>${item.priceInfo ? ` — ${quoteLabel(quoteNumbersOf(item.priceInfo))}` : ''}</p>`;
+    const price = item.priceInfo
+      ? priceBreakdownHtml(item.priceInfo)
+      : `<p><strong style="color: red;">Not quoted:</strong> ${item.error || 'No price returned'}</p>`;
+    return `${heading}\n${price}\n${clientInfoHtml(info)}`;
+  });
+  const pricedCount = priceInfo.items.filter(item => item.priceInfo).length;
+  const totals = pricedCount > 1 && priceInfo.total !== null && priceInfo.total !== undefined
+    ? `<p><strong>All quoted items:</strong> ${money(priceInfo.total)} (ex GST)` +
+      `${priceInfo.totalIncTax !== null && priceInfo.totalIncTax !== undefined ? `, ${money(priceInfo.totalIncTax)} inc GST` : ''}</p>`
+    : '';
+  return `${sections.join('\n')}\n${totals}`;
+}
+
+/**
+ * Build the reply for a priced quote
+ * @param {Object} quote - { payload, extracted, priceInfo, stockMappingUsed, from }
+ *   priceInfo from extractPriceInfo (quote-processor.js); every product, quantity and kind in it is listed.
+ *   For a multi-item RFQ (priceInfo.items) every item is listed, with or without a price.
+ * @returns {Object} { to, fixedTo, subject, htmlBody } — fixedTo is REPLY_TO_EMAIL or the payload's
+ *   DeliveryContact.Email (null when neither is set), which a threaded reply is sent to as well
+ */
+function buildQuoteReply({ payload, extracted, priceInfo, stockMappingUsed, from }) {
+  const info = extracted || {};
+  const quoteNo = priceInfo.quoteNo || '';
+  const fixedTo = process.env.REPLY_TO_EMAIL || (payload.DeliveryContact && payload.DeliveryContact.Email) || null;
+  const to = fixedTo || from || '';
+
+  const subject = payload.JobTitle || `ADS-ColesDraftQuotes ${info.title || 'Quote'} — ${quoteNo}`;
+  const stockMappingNote = !stockMappingUsed ? `<p><strong style="color: red;">Default stock is used as the mapping is not available.</strong></p>` : '';
+  const quoteNumbers = quoteNumbersOf(priceInfo);
+  const multiItem = Array.isArray(priceInfo.items) && priceInfo.items.length > 1;
+  const details = multiItem
+    ? lineItemsHtml(priceInfo, Array.isArray(info.items) ? info.items : [])
+    : `${priceBreakdownHtml(priceInfo)}
+<p><strong>Information received from client:</strong></p>
+${clientInfoHtml(info)}`;
+  const htmlBody = `<p>${quoteNumbers.length > 1 ? 'Quotes Created' : 'Quote Created'}: <strong>${quoteNumbers.join(', ') || quoteNo}</strong>.</p>
+${details}
+${stockMappingNote}`;
+
+  return { to, fixedTo, subject, htmlBody };
+}
+
+// Reply in the original thread when possible, otherwise send a new message.
+// mailbox holds the original message; replyFrom is the watch's sending address (watch-config.js).
+async function sendQuoteReply({ messageId, mailbox, replyFrom, to, fixedTo, subject, htmlBody }) {
+  if (messageId && REPLY_MODE !== 'new') {
+    const threaded = await replyToMessageOffice365({
+      messageId,
+      mailbox,
+      from: replyFrom || undefined,
+      htmlBody,
+      replyAll: REPLY_MODE === 'replyall',
+      // the thread's recipients are replaced only when the reply must go to a fixed address
+      // (REPLY_TO_EMAIL or the payload's DeliveryContact.Email)
+      to: fixedTo || undefined
+    });
+    if (threaded.ok) return threaded;
+    logger.warn(`Original message ${messageId} not found, sending quote as a new message`);
+  }
+
+  const result = await sendMailOffice365({ to, subject, htmlBody, from: replyFrom || mailbox || undefined });
+  return { ...result, threaded: false };
+}
+
+module.exports = {
+  buildQuoteReply,
+  sendQuoteReply
+};
@@ -0,0 +1,121 @@
+/* review-rules.js
+   Rules that hold a quote for human review instead of replying automatically.
+   Stored in DATA_DIR/review-rules.json (editable from the admin Review tab):
+     unmappedStock  - the stock description had no entry in stock-mapping.json
+     kindsMismatch  - kinds don't match the stated kind count / total quantity
+     priceRange     - PrintIQ unit price below min or above max
+     unknownSender  - sender address/domain not in knownSenders
+*/
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const REVIEW_RULES_FILE = path.join(DATA_DIR, 'review-rules.json');
+
+const DEFAULT_REVIEW_RULES = {
+  unmappedStock: true,
+  kindsMismatch: true,
+  priceRange: { enabled: false, min: null, max: null },
+  // entries are full addresses (buyer@coles.com.au) or domains (coles.com.au)
+  unknownSender: { enabled: false, knownSenders: [] }
+};
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Fill in defaults and coerce types so a hand-edited file can't break evaluation
+function normalizeReviewRules(rules = {}) {
+  const priceRange = rules.priceRange || {};
+  const unknownSender = rules.unknownSender || {};
+  return {
+    unmappedStock: rules.unmappedStock !== undefined ? Boolean(rules.unmappedStock) : DEFAULT_REVIEW_RULES.unmappedStock,
+    kindsMismatch: rules.kindsMismatch !== undefined ? Boolean(rules.kindsMismatch) : DEFAULT_REVIEW_RULES.kindsMismatch,
+    priceRange: {
+      enabled: Boolean(priceRange.enabled),
+      min: toNumberOrNull(priceRange.min),
+      max: toNumberOrNull(priceRange.max)
+    },
+    unknownSender: {
+      enabled: Boolean(unknownSender.enabled),
+      knownSenders: (Array.isArray(unknownSender.knownSenders) ? unknownSender.knownSenders : [])
+        .map(s => String(s).trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean)
+    }
+  };
+}
+
+function loadReviewRules() {
+  try {
+    if (fs.existsSync(REVIEW_RULES_FILE)) {
+      return normalizeReviewRules(JSON.parse(fs.readFileSync(REVIEW_RULES_FILE, 'utf8')));
+    }
+  } catch (err) {
+    logger.warn(`Failed to load review rules, using defaults: ${err.message}`);
+  }
+  return normalizeReviewRules(DEFAULT_REVIEW_RULES);
+}
+
+function saveReviewRules(rules) {
+  const normalized = normalizeReviewRules(rules);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(REVIEW_RULES_FILE, JSON.stringify(normalized, null, 2), 'utf8');
+  return normalized;
+}
+
+function isKnownSender(from, knownSenders) {
+  const address = String(from || '').trim().toLowerCase();
+  if (!address) return false;
+  const domain = address.split('@')[1] || '';
+  return knownSenders.some(entry => entry === address || entry === domain);
+}
+
+/**
+ * Evaluate the review rules against what is known about a quote so far.
+ * Rules whose input is not in the context are skipped, so this can run before
+ * quoting (consistency only) and again once a price is back.
+ * @param {Object} context - { consistency, stockMappingUsed, priceInfo, from }
+ * @param {Object} rules - Review rules (defaults to review-rules.json)
+ * @returns {string[]} Reasons to hold the quote (empty when it can be sent)
+ */
+function evaluateReviewRules(context, rules = loadReviewRules()) {
+  const reasons = [];
+
+  if (rules.kindsMismatch && context.consistency && !context.consistency.ok) {
+    reasons.push(...context.consistency.issues);
+  }
+
+  if (rules.unmappedStock && context.stockMappingUsed === false) {
+    reasons.push('Stock mapping not found, default stock was used');
+  }
+
+  // Multi-item RFQs: every priced item is checked, not just the first
+  const items = Array.isArray(context.priceInfo?.items) && context.priceInfo.items.length > 1
+    ? context.priceInfo.items.map((item, i) => ({ label: `Item ${i + 1} unit price`, price: toNumberOrNull(item.priceInfo?.price) }))
+    : [{ label: 'Unit price', price: toNumberOrNull(context.priceInfo?.price) }];
+  if (rules.priceRange.enabled) {
+    const { min, max } = rules.priceRange;
+    for (const { label, price } of items.filter(item => item.price !== null)) {
+      if (min !== null && price < min) reasons.push(`${label} ${price.toFixed(2)} is below the minimum ${min}`);
+      if (max !== null && price > max) reasons.push(`${label} ${price.toFixed(2)} is above the maximum ${max}`);
+    }
+  }
+
+  if (rules.unknownSender.enabled && context.from !== undefined && !isKnownSender(context.from, rules.unknownSender.knownSenders)) {
+    reasons.push(`Sender ${context.from || '(none)'} is not a known sender`);
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  DEFAULT_REVIEW_RULES,
+  loadReviewRules,
+  saveReviewRules,
+  normalizeReviewRules,
+  evaluateReviewRules
+};
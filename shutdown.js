@@ -0,0 +1,61 @@
+/* shutdown.js
+   Graceful shutdown for the long-running services (worker.js, webhook-server.js).
+   On SIGTERM (docker compose down/stop) or SIGINT (Ctrl+C) the service's shutdown function
+   runs once: it stops taking new work, waits up to SHUTDOWN_TIMEOUT_MS (default 25000) for
+   the work in flight, records what was interrupted and closes its resources. A second
+   signal exits straight away.
+
+   Docker only waits 10 seconds by default before it kills a container, so the compose
+   files give the worker and webhook a longer stop_grace_period.
+*/
+require('dotenv').config();
+const logger = require('./logger');
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000);
+
+/**
+ * Wait until isIdle() returns true, or the timeout runs out
+ * @param {Function} isIdle - () => boolean
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<boolean>} true when idle, false on timeout
+ */
+async function waitForIdle(isIdle, timeoutMs = SHUTDOWN_TIMEOUT_MS, checkEveryMs = 200) {
+  const deadline = Date.now() + timeoutMs;
+  while (!isIdle()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, checkEveryMs));
+  }
+  return true;
+}
+
+// Run shutdown(signal) on the first SIGTERM/SIGINT, then exit (1 if it threw)
+function handleShutdownSignals(name, shutdown) {
+  let stopping = false;
+
+  async function onSignal(signal) {
+    if (stopping) {
+      logger.warn(`${name}: ${signal} received again, exiting without waiting`);
+      process.exit(1);
+    }
+    stopping = true;
+    logger.log(`${name}: ${signal} received, shutting down (waiting up to ${SHUTDOWN_TIMEOUT_MS}ms for work in flight)`);
+
+    try {
+      await shutdown(signal);
+      logger.log(`${name}: shutdown complete`);
+      process.exit(0);
+    } catch (err) {
+      logger.error(`${name}: shutdown failed:`, err);
+      process.exit(1);
+    }
+  }
+
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+}
+
+module.exports = {
+  SHUTDOWN_TIMEOUT_MS,
+  waitForIdle,
+  handleShutdownSignals
+};
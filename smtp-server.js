@@ -0,0 +1,170 @@
+/* smtp-server.js
+   Inbound SMTP listener. Parses each received message, saves its attachments
+   under DATA_DIR/attachments and enqueues a job in the same SQLite jobs table
+   the worker processes (source = 'smtp').
+
+   Test locally with swaks:
+     swaks --server localhost --port 2525 --to rfq@localhost --from buyer@example.com \
+       --header "Subject: Coles RFQ # Q14080" --body @data/sample-emails/coles-rfq-q14242.txt
+*/
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { DATA_DIR, insertJob } = require('./job-store');
+const { htmlToText } = require('./ms-graph-mail');
+
+const SMTP_PORT = Number(process.env.SMTP_PORT || 2525);
+const SMTP_HOST = process.env.SMTP_HOST || '0.0.0.0';
+const SMTP_MAX_SIZE = Number(process.env.SMTP_MAX_SIZE || 25 * 1024 * 1024); // 25 MB
+// Optional AUTH: when both are set, clients must log in with these credentials
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+// Optional comma-separated list of accepted recipient addresses (case-insensitive)
+const SMTP_ALLOWED_RECIPIENTS = (process.env.SMTP_ALLOWED_RECIPIENTS || '')
+  .split(',')
+  .map(a => a.trim().toLowerCase())
+  .filter(Boolean);
+
+const ATTACHMENTS_DIR = path.join(DATA_DIR, 'attachments');
+fs.mkdirSync(ATTACHMENTS_DIR, { recursive: true });
+
+// Keep attachment file names safe for the local filesystem
+function safeFileName(name, index) {
+  const base = path.basename(String(name || '')).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '');
+  return base || `attachment-${index + 1}`;
+}
+
+// Second and later files with the same name get -2, -3, ... before the extension
+// (compared case-insensitively, for case-insensitive filesystems)
+function uniqueFileName(fileName, used) {
+  const { name, ext } = path.parse(fileName);
+  let candidate = fileName;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${name}-${n}${ext}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Write attachments to DATA_DIR/attachments/<message folder>/ and return their metadata
+function saveAttachments(attachments, folderName) {
+  if (!attachments || attachments.length === 0) return [];
+
+  const dir = path.join(ATTACHMENTS_DIR, folderName);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const used = new Set();
+  return attachments.map((att, index) => {
+    const fileName = uniqueFileName(safeFileName(att.filename, index), used);
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, att.content);
+    return {
+      filename: att.filename || fileName,
+      contentType: att.contentType || 'application/octet-stream',
+      size: att.size || (att.content ? att.content.length : 0),
+      path: filePath
+    };
+  });
+}
+
+// Convert a mailparser message → webhook email format (same shape as convertGraphMessage)
+function convertParsedMail(parsed, attachments) {
+  const html = typeof parsed.html === 'string' ? parsed.html : '';
+  return {
+    from: parsed.from?.value?.[0]?.address || '',
+    subject: parsed.subject || '',
+    text: parsed.text || htmlToText(html),
+    html,
+    attachments,
+    raw: html || parsed.text || ''
+  };
+}
+
+async function handleMessage(stream, session) {
+  const parsed = await simpleParser(stream);
+
+  if (stream.sizeExceeded) {
+    const err = new Error('Message exceeds fixed maximum message size');
+    err.responseCode = 552;
+    throw err;
+  }
+
+  // Message-ID dedupes re-sent messages; fall back to a generated id
+  const msgId = parsed.messageId || `smtp-${uuidv4()}`;
+  const folderName = `${Date.now()}-${uuidv4()}`;
+  const attachments = saveAttachments(parsed.attachments, folderName);
+  const payload = convertParsedMail(parsed, attachments);
+
+  const inserted = insertJob({ msgId, payload, source: 'smtp' });
+  if (inserted) {
+    logger.log(`SMTP message queued: msg_id=${msgId} from=${payload.from} subject="${payload.subject}" attachments=${attachments.length} (session ${session.id})`);
+  } else {
+    // The queued copy has its own folder; this one's attachments are not needed
+    fs.rmSync(path.join(ATTACHMENTS_DIR, folderName), { recursive: true, force: true });
+    logger.warn(`SMTP message ignored, already queued: msg_id=${msgId}`);
+  }
+}
+
+const server = new SMTPServer({
+  name: process.env.SMTP_HOSTNAME || undefined,
+  size: SMTP_MAX_SIZE,
+  authOptional: !(SMTP_USER && SMTP_PASSWORD),
+  disabledCommands: SMTP_USER && SMTP_PASSWORD ? [] : ['AUTH'],
+  // Plain SMTP on a private port; put a relay in front if TLS is needed
+  allowInsecureAuth: true,
+  disableReverseLookup: true,
+  secure: false,
+  hideSTARTTLS: true,
+
+  onAuth(auth, session, callback) {
+    if (auth.username === SMTP_USER && auth.password === SMTP_PASSWORD) {
+      return callback(null, { user: auth.username });
+    }
+    return callback(new Error('Invalid username or password'));
+  },
+
+  onRcptTo(address, session, callback) {
+    if (SMTP_ALLOWED_RECIPIENTS.length > 0 && !SMTP_ALLOWED_RECIPIENTS.includes(String(address.address).toLowerCase())) {
+      const err = new Error(`Recipient ${address.address} not accepted`);
+      err.responseCode = 550;
+      return callback(err);
+    }
+    return callback();
+  },
+
+  onData(stream, session, callback) {
+    handleMessage(stream, session)
+      .then(() => callback())
+      .catch(err => {
+        logger.error('SMTP message handling error:', err);
+        if (err.responseCode) return callback(err);
+        const smtpErr = new Error('Failed to queue message');
+        smtpErr.responseCode = 451;
+        callback(smtpErr);
+      });
+  }
+});
+
+server.on('error', err => {
+  logger.error('SMTP server error:', err);
+});
+
+// Listen only when run directly, so test-smtp-server.js can start it on a free port
+if (require.main === module) {
+  server.listen(SMTP_PORT, SMTP_HOST, () => {
+    console.log(`SMTP server listening on ${SMTP_HOST}:${SMTP_PORT}`);
+    logger.log(`SMTP server listening on ${SMTP_HOST}:${SMTP_PORT}`);
+  });
+}
+
+module.exports = {
+  server,
+  safeFileName,
+  saveAttachments,
+  convertParsedMail,
+  handleMessage
+};
@@ -1,8 +1,15 @@
 /* test-complete-workflow.js
    Test file for the complete email-to-quote workflow combining OpenAI conversion and quote processing.
    Run with: node test-complete-workflow.js
+   Add --fake-printiq to quote against the local stand-in (fake-printiq-server.js) instead of PrintIQ.
 */
 
+// Before quote-processor is required, so the PrintIQ client picks up the local URL
+if (process.argv.includes('--fake-printiq')) {
+  const { url } = require('./fake-printiq-server').useFakePrintIQ();
+  console.log(`Using fake PrintIQ at ${url}`);
+}
+
 const { convertWithOpenAI, processEmailWithOpenAI } = require('./openai-converter');
 const { processQuote } = require('./quote-processor');
 const path = require('path');
@@ -0,0 +1,63 @@
+/* test-concurrency.js
+   Test file for the concurrency limiter used by the worker pool and the LLM/PrintIQ calls.
+   Run with: node test-concurrency.js
+*/
+
+const { createLimiter } = require('./concurrency');
+const { check, runTests } = require('./test-helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testLimiter() {
+  console.log('\n=== Testing createLimiter ===');
+
+  const limit = createLimiter(2, 'test');
+  let active = 0;
+  let maxActive = 0;
+  const order = [];
+
+  const task = (id, ms) => limit(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(ms);
+    active--;
+    order.push(id);
+    return id;
+  });
+
+  const results = await Promise.all([task(1, 60), task(2, 10), task(3, 10), task(4, 10)]);
+  check('Never more than max tasks at once', maxActive === 2);
+  check('Results returned in call order', JSON.stringify(results) === '[1,2,3,4]');
+  check('A slow task does not block the others', order[0] !== 1 && order[order.length - 1] === 1);
+
+  const stats = limit.stats();
+  check('Stats drained after completion', stats.active === 0 && stats.pending === 0 && stats.max === 2);
+
+  try {
+    await limit(async () => { throw new Error('boom'); });
+    check('Rejections propagate', false);
+  } catch (err) {
+    check('Rejections propagate', err.message === 'boom');
+  }
+  const after = await limit(async () => 'ok');
+  check('Slot released after a rejection', after === 'ok');
+
+  check('Invalid max falls back to 1', createLimiter('nope').stats().max === 1);
+}
+
+async function runAllTests() {
+  console.log('Starting Concurrency Tests...');
+
+  await testLimiter();
+
+  console.log('\n=== All concurrency tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testLimiter
+};
@@ -0,0 +1,168 @@
+/* test-graph-subscriptions.js
+   Test file for the Graph subscription manager and notification endpoint
+   (graph-subscriptions.js), run against a local fake Graph server with a throwaway DATA_DIR.
+   Like Graph, the fake validates the notification URL when a subscription is created.
+   Run with: node test-graph-subscriptions.js
+*/
+
+const http = require('http');
+const fs = require('fs');
+const express = require('express');
+const { check, listen, useTempDataDir, startFakeGraph, runTests } = require('./test-helpers');
+
+const MAILBOX = 'rfq@example.com';
+const HOUR = 60 * 60 * 1000;
+
+// Fake Graph /subscriptions: ids in `graph.missing` answer 404 (expired on Graph's side)
+const graph = { subscriptions: new Map(), missing: new Set(), calls: [], validated: 0, nextId: 1 };
+
+function addSubscriptionRoutes(app) {
+  app.post('/subscriptions', async (req, res) => {
+    graph.calls.push('POST');
+    const token = `check-${graph.nextId}`;
+    const resp = await fetch(`${req.body.notificationUrl}?validationToken=${token}`, { method: 'POST' });
+    if ((await resp.text()) !== token) {
+      return res.status(400).json({ error: { message: 'Subscription validation request failed' } });
+    }
+    graph.validated++;
+    const sub = { id: `sub-${graph.nextId++}`, ...req.body };
+    graph.subscriptions.set(sub.id, sub);
+    res.status(201).json(sub);
+  });
+
+  app.patch('/subscriptions/:id', (req, res) => {
+    graph.calls.push(`PATCH ${req.params.id}`);
+    const sub = graph.subscriptions.get(req.params.id);
+    if (!sub || graph.missing.has(req.params.id)) return res.status(404).json({ error: { code: 'ResourceNotFound' } });
+    sub.expirationDateTime = req.body.expirationDateTime;
+    res.json(sub);
+  });
+
+  app.delete('/subscriptions/:id', (req, res) => {
+    graph.calls.push(`DELETE ${req.params.id}`);
+    graph.subscriptions.delete(req.params.id);
+    res.status(204).end();
+  });
+}
+
+async function testSyncSubscriptions(subs, jobStore) {
+  console.log('\n=== Testing syncSubscriptions ===');
+  let tokenRequests = 0;
+  const getToken = async () => { tokenRequests++; return 'token'; };
+  const folders = [{ mailbox: MAILBOX, folderId: 'Inbox' }];
+
+  let result = await subs.syncSubscriptions({ getToken, folders });
+  const stored = jobStore.listSubscriptions();
+  check('Creates a subscription for the folder', result.ok && result.created === 1 && stored.length === 1);
+  check('Notification URL was validated on creation', graph.validated === 1);
+  const created = graph.subscriptions.get(stored[0].id);
+  check('Subscribes to new messages in the folder',
+    created.changeType === 'created' && created.resource === `users/${MAILBOX}/mailFolders('Inbox')/messages`);
+  check('Stores the clientState sent to Graph', stored[0].client_state === created.clientState && !!created.clientState);
+
+  graph.calls = [];
+  tokenRequests = 0;
+  result = await subs.syncSubscriptions({ getToken, folders });
+  check('Nothing to do while the subscription is fresh', result.ok && graph.calls.length === 0 && tokenRequests === 0);
+
+  // Close to expiry: renewed in place
+  const nearExpiry = Date.parse(stored[0].expiration) - HOUR;
+  result = await subs.syncSubscriptions({ getToken, folders, now: nearExpiry });
+  check('Renews a subscription close to expiry', result.renewed === 1 && graph.calls[0] === `PATCH ${stored[0].id}`);
+  check('Renewal stores the new expiration', Date.parse(jobStore.getSubscription(stored[0].id).expiration) > Date.parse(stored[0].expiration));
+
+  // Gone on Graph's side: replaced by a new one
+  graph.missing.add(stored[0].id);
+  graph.calls = [];
+  const later = Date.parse(jobStore.getSubscription(stored[0].id).expiration) - HOUR;
+  result = await subs.syncSubscriptions({ getToken, folders, now: later });
+  const replaced = jobStore.listSubscriptions();
+  check('Recreates a subscription that no longer exists',
+    result.ok && result.created === 1 && replaced.length === 1 && replaced[0].id !== stored[0].id);
+
+  // Folder no longer watched: deleted on Graph and locally
+  graph.calls = [];
+  result = await subs.syncSubscriptions({ getToken, folders: [] });
+  check('Removes subscriptions for folders no longer watched',
+    result.removed === 1 && graph.calls[0] === `DELETE ${replaced[0].id}` && jobStore.listSubscriptions().length === 0);
+
+  // Leave one active subscription for the notification tests
+  await subs.syncSubscriptions({ getToken, folders });
+}
+
+async function testNotifications(notificationUrl, jobStore) {
+  console.log('\n=== Testing notification endpoint ===');
+  const sub = jobStore.listSubscriptions()[0];
+  const post = (body) => fetch(notificationUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const notification = (msgId, clientState) => ({
+    subscriptionId: sub.id,
+    clientState,
+    changeType: 'created',
+    resource: `Users/x/Messages/${msgId}`,
+    resourceData: { '@odata.type': '#Microsoft.Graph.Message', id: msgId }
+  });
+
+  const validation = await fetch(`${notificationUrl}?validationToken=abc%20123`, { method: 'POST' });
+  check('Echoes the validation token as plain text',
+    validation.status === 200 && (await validation.text()) === 'abc 123' && validation.headers.get('content-type').startsWith('text/plain'));
+
+  let resp = await post({ value: [notification('msg-1', sub.client_state), notification('msg-2', 'wrong')] });
+  let body = await resp.json();
+  check('Answers 202 with the queued count', resp.status === 202 && body.queued === 1 && body.ignored === 1);
+
+  const job = jobStore.listJobs({}).jobs.find(j => j.msg_id === 'msg-1');
+  check('Queues a graph job by message id with no payload', job && job.source === 'graph' && job.payload === null && job.status === 'pending');
+  check('Ignores notifications with the wrong clientState', !jobStore.listJobs({}).jobs.some(j => j.msg_id === 'msg-2'));
+
+  resp = await post({ value: [notification('msg-1', sub.client_state)] });
+  body = await resp.json();
+  check('A repeated notification does not queue the message twice', body.queued === 0 && jobStore.listJobs({}).total === 1);
+
+  jobStore.updateJobPayload(job.id, { from: 'buyer@example.com', subject: 'RFQ' });
+  check('updateJobPayload stores the fetched email', JSON.parse(jobStore.getJob(job.id).payload).from === 'buyer@example.com');
+}
+
+async function runAllTests() {
+  console.log('Starting Graph Subscription Tests...');
+
+  const { server: graphServer } = await startFakeGraph(addSubscriptionRoutes);
+
+  // Stand-in for the webhook server's notification route
+  const receiver = express();
+  receiver.use(express.json());
+  const receiverServer = http.createServer(receiver);
+  const notificationUrl = `${await listen(receiverServer)}/webhook/graph-notifications`;
+
+  const dataDir = useTempDataDir('graph-subscriptions');
+  process.env.GRAPH_NOTIFICATION_URL = notificationUrl;
+
+  const subs = require('./graph-subscriptions');
+  const jobStore = require('./job-store');
+  receiver.post('/webhook/graph-notifications', subs.handleNotificationRequest);
+
+  try {
+    await testSyncSubscriptions(subs, jobStore);
+    await testNotifications(notificationUrl, jobStore);
+  } finally {
+    graphServer.close();
+    receiverServer.close();
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All Graph subscription tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testSyncSubscriptions,
+  testNotifications
+};
@@ -0,0 +1,76 @@
+/* test-helpers.js
+   Shared pieces of the test-*.js scripts: the ✓/✗ check, a local server on a free port, a
+   throwaway DATA_DIR, a fake Microsoft Graph and the runner. A ✗ or a thrown error makes the
+   script exit with code 1.
+*/
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+function check(label, condition) {
+  console.log(`${condition ? '✓' : '✗'} ${label}`);
+  if (!condition) process.exitCode = 1;
+  return condition;
+}
+
+// Listen on a free local port → the server's URL
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+/**
+ * Point DATA_DIR and LOG_DIR at a new temporary directory. Modules that keep data (job-store.js,
+ * watch-config.js, ...) read DATA_DIR when they are loaded, so call this before requiring them.
+ * @param {string} name - Prefix for the directory name
+ * @returns {string} The directory; remove it with fs.rmSync(dir, { recursive: true, force: true })
+ */
+function useTempDataDir(name) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  process.env.DATA_DIR = dataDir;
+  process.env.LOG_DIR = path.join(dataDir, 'logs');
+  return dataDir;
+}
+
+/**
+ * Start a local stand-in for Microsoft Graph and point GRAPH_BASE_URL / GRAPH_LOGIN_URL at it.
+ * It hands out a token for any credentials; addRoutes(app, url) adds the Graph routes a test
+ * needs. ms-graph-mail.js reads the URLs when it is loaded, so call this before requiring it
+ * (or a module that uses it).
+ * @param {Function} addRoutes - (app, url) => void
+ * @returns {Promise<Object>} { server, url }
+ */
+async function startFakeGraph(addRoutes) {
+  const app = express();
+  app.use(express.json());
+  app.post('/:tenant/oauth2/v2.0/token', (req, res) => res.json({ access_token: 'token', expires_in: 3600 }));
+
+  const server = http.createServer(app);
+  const url = await listen(server);
+  addRoutes(app, url);
+
+  process.env.GRAPH_BASE_URL = url;
+  process.env.GRAPH_LOGIN_URL = url;
+  process.env.MS_GRAPH_TENANT_ID = 'tenant';
+  return { server, url };
+}
+
+// Run a script's runAllTests when it is executed directly; a thrown error is printed and,
+// like a ✗, sets exit code 1
+function runTests(runAllTests) {
+  Promise.resolve()
+    .then(runAllTests)
+    .catch(err => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  check,
+  listen,
+  useTempDataDir,
+  startFakeGraph,
+  runTests
+};
@@ -0,0 +1,141 @@
+/* test-llm-provider.js
+   Test file for the LLM provider adapters. Runs offline: the OpenAI-compatible
+   adapters are pointed at a local fake chat-completions server.
+   Run with: node test-llm-provider.js
+*/
+
+const http = require('http');
+const { loadLlmConfig, createProvider } = require('./llm-provider');
+const { check, listen, runTests } = require('./test-helpers');
+
+// Minimal OpenAI-compatible server that records the last request
+function startFakeChatServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString() || '{}') });
+      if (req.url.includes('slow')) return; // never answers, for the timeout test
+      if (req.url.includes('stall')) {
+        // headers and part of the body, then nothing
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.write('{"choices":[');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { content: '{"rfq_no":"Q1"}' }, finish_reason: 'stop' }],
+        usage: { total_tokens: 10 }
+      }));
+    });
+  });
+  return listen(server).then(baseUrl => ({ server, requests, baseUrl }));
+}
+
+const messages = [{ role: 'user', content: 'extract' }];
+
+async function testConfig() {
+  console.log('\n=== Testing loadLlmConfig ===');
+
+  const defaults = loadLlmConfig({});
+  check('Default provider openai', defaults.provider === 'openai');
+  check('Default model gpt-4o-mini', defaults.model === 'gpt-4o-mini');
+
+  const legacyKey = loadLlmConfig({ OPENAI_API_KEY: 'sk-legacy' });
+  check('OPENAI_API_KEY still honoured', legacyKey.apiKey === 'sk-legacy');
+
+  try {
+    createProvider(loadLlmConfig({}));
+    check('Missing key rejected at create time (not require time)', false);
+  } catch (err) {
+    check('Missing key rejected at create time (not require time)', true);
+  }
+
+  try {
+    createProvider(loadLlmConfig({ LLM_PROVIDER: 'nope' }));
+    check('Unknown provider rejected', false);
+  } catch (err) {
+    check('Unknown provider rejected', true);
+  }
+}
+
+async function testStubProvider() {
+  console.log('\n=== Testing stub provider ===');
+
+  const provider = createProvider(loadLlmConfig({ LLM_PROVIDER: 'stub' }));
+  const first = await provider.complete(messages);
+  const second = await provider.complete(messages);
+  check('Stub returns JSON', typeof JSON.parse(first.text) === 'object');
+  check('Stub is deterministic', first.text === second.text);
+}
+
+async function testHttpProviders() {
+  console.log('\n=== Testing OpenAI-compatible adapters against a fake server ===');
+
+  const { server, requests, baseUrl } = await startFakeChatServer();
+  try {
+    const local = createProvider(loadLlmConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: `${baseUrl}/v1`, LLM_MODEL: 'llama3' }));
+    const localResult = await local.complete(messages);
+    let req = requests[requests.length - 1];
+    check('Local: response text', localResult.text === '{"rfq_no":"Q1"}');
+    check('Local: model sent', req.body.model === 'llama3');
+    check('Local: no auth header without key', !req.headers.authorization);
+
+    const openai = createProvider(loadLlmConfig({ LLM_PROVIDER: 'openai', LLM_BASE_URL: `${baseUrl}/v1`, LLM_API_KEY: 'sk-test' }));
+    await openai.complete(messages);
+    req = requests[requests.length - 1];
+    check('OpenAI: bearer auth', req.headers.authorization === 'Bearer sk-test');
+    check('OpenAI: chat completions path', req.url === '/v1/chat/completions');
+
+    const azure = createProvider(loadLlmConfig({
+      LLM_PROVIDER: 'azure',
+      AZURE_OPENAI_ENDPOINT: baseUrl,
+      AZURE_OPENAI_DEPLOYMENT: 'rfq-extractor',
+      AZURE_OPENAI_API_KEY: 'az-key'
+    }));
+    await azure.complete(messages);
+    req = requests[requests.length - 1];
+    check('Azure: api-key header', req.headers['api-key'] === 'az-key');
+    check('Azure: deployment path', req.url.startsWith('/openai/deployments/rfq-extractor/chat/completions?api-version='));
+
+    const slow = createProvider(loadLlmConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: `${baseUrl}/slow`, LLM_TIMEOUT_MS: '200' }));
+    try {
+      await slow.complete(messages);
+      check('Timeout enforced', false);
+    } catch (err) {
+      check('Timeout enforced', /timed out/.test(err.message));
+    }
+
+    const stalled = createProvider(loadLlmConfig({ LLM_PROVIDER: 'local', LLM_BASE_URL: `${baseUrl}/stall`, LLM_TIMEOUT_MS: '200' }));
+    try {
+      await stalled.complete(messages);
+      check('Timeout covers a stalled body', false);
+    } catch (err) {
+      check('Timeout covers a stalled body', /timed out/.test(err.message));
+    }
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting LLM Provider Tests...');
+
+  await testConfig();
+  await testStubProvider();
+  await testHttpProviders();
+
+  console.log('\n=== All LLM provider tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testConfig,
+  testStubProvider,
+  testHttpProviders
+};
@@ -0,0 +1,157 @@
+/* test-mail-actions.js
+   Test file for the post-processing of handled messages (mail-actions.js): Outlook
+   categories per outcome and folder moves, run against a local fake Graph server with a
+   throwaway DATA_DIR.
+   Run with: node test-mail-actions.js
+*/
+
+const fs = require('fs');
+const { check, useTempDataDir, startFakeGraph, runTests } = require('./test-helpers');
+
+const MAILBOX = 'rfq@example.com';
+
+// Fake Graph mailbox: messages by id, folders by id; a move gives the message a new id.
+// Creating a folder that exists answers 409; `hideFolder` leaves a folder out of the next listing.
+const graph = {
+  messages: new Map(['msg-1', 'msg-2', 'msg-3', 'msg-4', 'msg-5'].map(id => [id, { categories: id === 'msg-1' ? ['Urgent'] : [] }])),
+  hideFolder: null,
+  folders: [{ id: 'inbox-id', displayName: 'Inbox' }],
+  calls: [],
+  nextId: 1
+};
+
+function addMailboxRoutes(app) {
+  app.get('/users/:mailbox/mailFolders', (req, res) => {
+    const hidden = graph.hideFolder;
+    graph.hideFolder = null;
+    res.json({ value: graph.folders.filter(folder => folder.displayName !== hidden) });
+  });
+  app.post('/users/:mailbox/mailFolders', (req, res) => {
+    graph.calls.push(`CREATE ${req.body.displayName}`);
+    if (graph.folders.some(folder => folder.displayName === req.body.displayName)) {
+      return res.status(409).json({ error: { code: 'ErrorFolderExists' } });
+    }
+    const folder = { id: `folder-${graph.nextId++}`, displayName: req.body.displayName };
+    graph.folders.push(folder);
+    res.status(201).json(folder);
+  });
+
+  app.get('/users/:mailbox/messages/:id', (req, res) => {
+    const msg = graph.messages.get(req.params.id);
+    if (!msg) return res.status(404).json({ error: { code: 'ErrorItemNotFound' } });
+    res.json({ id: req.params.id, categories: msg.categories });
+  });
+  app.patch('/users/:mailbox/messages/:id', (req, res) => {
+    const msg = graph.messages.get(req.params.id);
+    if (!msg) return res.status(404).json({ error: { code: 'ErrorItemNotFound' } });
+    msg.categories = req.body.categories;
+    res.json({ id: req.params.id, categories: msg.categories });
+  });
+  app.post('/users/:mailbox/messages/:id/move', (req, res) => {
+    const msg = graph.messages.get(req.params.id);
+    if (!msg) return res.status(404).json({ error: { code: 'ErrorItemNotFound' } });
+    graph.calls.push(`MOVE ${req.params.id} ${req.body.destinationId}`);
+    const newId = `${req.params.id}-moved-${graph.nextId++}`;
+    graph.messages.delete(req.params.id);
+    graph.messages.set(newId, { ...msg, parentFolderId: req.body.destinationId });
+    res.status(201).json({ id: newId });
+  });
+}
+
+function testNextCategories(actions) {
+  console.log('\n=== Testing category changes ===');
+  check('Adds the outcome category and keeps the others',
+    JSON.stringify(actions.nextCategories(['Urgent'], 'review')) === JSON.stringify(['Urgent', 'AutoQuote: Review']));
+  check('Replaces an earlier AutoQuote category',
+    JSON.stringify(actions.nextCategories(['AutoQuote: Review', 'Urgent'], 'sent')) === JSON.stringify(['Urgent', 'AutoQuote: Sent']));
+  check('A rejected review only removes AutoQuote categories',
+    JSON.stringify(actions.nextCategories(['AutoQuote: Review'], 'rejected')) === '[]');
+}
+
+async function testApplyMailActions(actions, jobStore) {
+  console.log('\n=== Testing applyMailActions ===');
+  const insert = (msgId, source = 'graph', mailbox = MAILBOX) => {
+    jobStore.insertJob({ msgId, payload: { subject: 'RFQ' }, source, mailbox, folderId: 'inbox-id' });
+    return jobStore.listJobs({}).jobs.find(j => j.msg_id === msgId);
+  };
+
+  const held = insert('msg-1');
+  await actions.applyMailActions(held, 'review');
+  check('Held job is tagged for review', JSON.stringify(graph.messages.get('msg-1').categories) === JSON.stringify(['Urgent', 'AutoQuote: Review']));
+  check('Held job is not moved', graph.calls.length === 0);
+
+  // Two jobs finishing together share the folder lookup: the folder is created once
+  const [result] = await Promise.all([
+    actions.applyMailActions(jobStore.getJob(held.id), 'sent'),
+    actions.applyMailActions(insert('msg-4'), 'sent')
+  ]);
+  const moved = jobStore.getJob(held.id);
+  check('Sent quote is tagged and moved to the Quoted folder (created when missing)',
+    result.movedTo === 'Quoted' && graph.calls.some(call => call.startsWith('MOVE msg-1 folder-')));
+  check('Jobs finishing together create the folder once', graph.calls.filter(call => call === 'CREATE Quoted').length === 1 &&
+    graph.calls.filter(call => call.startsWith('MOVE')).length === 2);
+  check('The new message id is stored on the job', moved.graph_msg_id === result.messageId && actions.graphMessageId(moved) === result.messageId);
+  check('Category is set on the moved message',
+    JSON.stringify(graph.messages.get(result.messageId).categories) === JSON.stringify(['Urgent', 'AutoQuote: Sent']));
+
+  graph.calls = [];
+  const dead = insert('msg-2');
+  await actions.applyMailActions(dead, 'failed');
+  check('Failed job goes to the existing folder found by name', graph.calls.length === 1 && graph.calls[0].startsWith('MOVE msg-2 folder-'));
+
+  // The folder was created elsewhere after the listing: the 409 is followed by a second look
+  graph.calls = [];
+  graph.hideFolder = 'Quoted';
+  const raced = await actions.applyMailActions(insert('msg-5', 'graph', 'other@example.com'), 'sent');
+  check('A folder that already exists (409) is looked up again', raced?.movedTo === 'Quoted' &&
+    graph.calls[0] === 'CREATE Quoted' && graph.calls[1].startsWith('MOVE msg-5 folder-'));
+
+  const gone = insert('msg-missing');
+  check('A Graph error is logged, not thrown', (await actions.applyMailActions(gone, 'sent')) === null);
+  const events = jobStore.listJobEvents(gone.id).filter(e => e.stage === 'mail_actions');
+  check('The failure is recorded as a job event', events.length === 1 && events[0].status === 'error');
+
+  check('Jobs without a Graph message are skipped', (await actions.applyMailActions(insert('smtp-1', 'smtp'), 'sent')) === null);
+
+  // The webhook queues with its own msg_id; the Graph id from the request is kept apart
+  jobStore.insertJob({ msgId: 'webhook-1', payload: { subject: 'RFQ' }, source: 'webhook', graphMsgId: 'msg-3' });
+  const hooked = jobStore.listJobs({}).jobs.find(j => j.msg_id === 'webhook-1');
+  check('A webhook job keeps the Graph id it was queued with', actions.graphMessageId(hooked) === 'msg-3');
+  await actions.applyMailActions(hooked, 'review', { mailbox: MAILBOX });
+  check('A webhook job with a Graph id is tagged', JSON.stringify(graph.messages.get('msg-3').categories) === JSON.stringify(['AutoQuote: Review']));
+}
+
+async function runAllTests() {
+  console.log('Starting Mail Actions Tests...');
+
+  const { server: graphServer } = await startFakeGraph(addMailboxRoutes);
+  const dataDir = useTempDataDir('mail-actions');
+  process.env.EMAIL_FROM = MAILBOX;
+  process.env.MAIL_QUOTED_FOLDER = 'Quoted';
+  process.env.MAIL_FAILED_FOLDER = 'needs attention';
+  graph.folders.push({ id: 'folder-attention', displayName: 'Needs attention' });
+
+  const actions = require('./mail-actions');
+  const jobStore = require('./job-store');
+
+  try {
+    testNextCategories(actions);
+    await testApplyMailActions(actions, jobStore);
+  } finally {
+    graphServer.close();
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All mail actions tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testNextCategories,
+  testApplyMailActions
+};
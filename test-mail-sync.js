@@ -0,0 +1,157 @@
+/* test-mail-sync.js
+   Test file for the Graph delta mailbox sync (mail-sync.js), run against a local fake Graph
+   server with a throwaway DATA_DIR.
+   Run with: node test-mail-sync.js
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { check, useTempDataDir, startFakeGraph, runTests } = require('./test-helpers');
+
+const MAILBOX = 'rfq@example.com';
+const FOLDER = 'Inbox';
+
+function iso(msAgo) {
+  return new Date(Date.now() - msAgo).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Fake Graph: the next delta round is whatever the test sets in `graph.pages`; links
+// point back at this server. A token of 'expired' answers 410.
+const graph = { pages: [], requests: [] };
+let baseUrl = '';
+
+function addDeltaRoutes(app, url) {
+  baseUrl = url;
+  app.use((req, res) => {
+    graph.requests.push(req.url);
+
+    if (req.query.token === 'expired') {
+      return res.status(410).json({ error: { code: 'SyncStateNotFound' } });
+    }
+
+    const page = Number(req.query.page || 0);
+    const body = { value: graph.pages[page] || [] };
+    if (page + 1 < graph.pages.length) {
+      body['@odata.nextLink'] = `${baseUrl}/delta?page=${page + 1}`;
+    } else {
+      body['@odata.deltaLink'] = `${baseUrl}/delta?token=${graph.nextToken || 'round'}`;
+    }
+    res.json(body);
+  });
+}
+
+async function testDeltaSync(mailSync, jobStore) {
+  console.log('\n=== Testing fetchNewMessages (delta) ===');
+
+  // First round: two pages, out of order, one removed item, one already-read old message
+  graph.pages = [
+    [
+      { id: 'm2', receivedDateTime: iso(60 * 60 * 1000), isRead: false, subject: 'second' },
+      { id: 'gone', '@removed': { reason: 'deleted' } }
+    ],
+    [
+      { id: 'm1', receivedDateTime: iso(2 * 60 * 60 * 1000), isRead: false, subject: 'first' },
+      { id: 'old-read', receivedDateTime: iso(3 * 60 * 60 * 1000), isRead: true, subject: 'handled' }
+    ]
+  ];
+  graph.nextToken = 'one';
+  graph.requests = [];
+
+  let result = await mailSync.fetchNewMessages('token', MAILBOX, FOLDER);
+  const ids = result.messages.map(m => m.id);
+  check('First round follows nextLink pages', graph.requests.length === 2);
+  check('First round asks for a delta query limited by receivedDateTime',
+    graph.requests[0].includes('/messages/delta') && decodeURIComponent(graph.requests[0]).includes('receivedDateTime ge'));
+  check('Removed items are skipped', !ids.includes('gone'));
+  check('Mail that was already read before syncing started is skipped', !ids.includes('old-read'));
+  check('Messages come back oldest first', JSON.stringify(ids) === '["m1","m2"]');
+  check('Delta link is not stored before commit()', jobStore.getSyncState(MAILBOX, FOLDER) === null);
+
+  result.commit();
+  const state = jobStore.getSyncState(MAILBOX, FOLDER);
+  check('commit() stores the delta link', state && state.delta_link === `${baseUrl}/delta?token=one`);
+
+  // Next poll: continues from the stored link; new mail counts even if it was already opened
+  graph.pages = [[{ id: 'm3', receivedDateTime: iso(0), isRead: true, subject: 'opened in Outlook' }]];
+  graph.nextToken = 'two';
+  graph.requests = [];
+
+  result = await mailSync.fetchNewMessages('token', MAILBOX, FOLDER);
+  check('Next poll uses the stored delta link', graph.requests[0] === '/delta?token=one');
+  check('New mail is picked up even when already read', result.messages.length === 1 && result.messages[0].id === 'm3');
+  result.commit();
+
+  // Expired delta link: start a new round, keeping the original sync start
+  jobStore.saveSyncState({ mailbox: MAILBOX, folderId: FOLDER, deltaLink: `${baseUrl}/delta?token=expired`, since: state.since, startedAt: state.started_at });
+  graph.pages = [[{ id: 'm4', receivedDateTime: iso(0), isRead: false, subject: 'after resync' }]];
+  graph.nextToken = 'three';
+  graph.requests = [];
+
+  result = await mailSync.fetchNewMessages('token', MAILBOX, FOLDER);
+  check('410 starts a new delta round', graph.requests.length === 2 && graph.requests[1].includes('/messages/delta'));
+  check('Messages from the new round are returned', result.messages.some(m => m.id === 'm4'));
+  result.commit();
+  const resynced = jobStore.getSyncState(MAILBOX, FOLDER);
+  check('Resync stores the new delta link and keeps the sync start',
+    resynced.delta_link === `${baseUrl}/delta?token=three` && resynced.started_at === state.started_at);
+}
+
+function testIsNewMessage(mailSync) {
+  console.log('\n=== Testing isNewMessage ===');
+  const state = { since: '2026-01-01T00:00:00Z', startedAt: '2026-01-02T00:00:00Z' };
+  check('Unread mail in the window is new', !!mailSync.isNewMessage({ receivedDateTime: '2026-01-01T12:00:00Z', isRead: false }, state));
+  check('Read mail from before the sync started is not', !mailSync.isNewMessage({ receivedDateTime: '2026-01-01T12:00:00Z', isRead: true }, state));
+  check('Read mail received after the sync started is', !!mailSync.isNewMessage({ receivedDateTime: '2026-01-02T08:00:00Z', isRead: true }, state));
+  check('Mail older than the window is not', !mailSync.isNewMessage({ receivedDateTime: '2025-12-31T23:00:00Z', isRead: false }, state));
+}
+
+// Delta links saved under a mixed-case EMAIL_FROM before mailboxes were lower-cased
+function seedLegacySyncState(dataDir) {
+  const legacy = new Database(path.join(dataDir, 'db.sqlite'));
+  legacy.exec(`CREATE TABLE mail_sync_state (mailbox TEXT NOT NULL, folder_id TEXT NOT NULL, delta_link TEXT,
+    since TEXT, started_at TEXT, updated_at TEXT, PRIMARY KEY (mailbox, folder_id))`);
+  legacy.prepare(`INSERT INTO mail_sync_state (mailbox, folder_id, delta_link) VALUES (?, 'Legacy', 'legacy-link')`).run('RFQ@Example.com');
+  legacy.close();
+}
+
+function testLegacyMailboxCase(jobStore) {
+  console.log('\n=== Testing mixed-case mailboxes ===');
+  check('A delta link saved under a mixed-case mailbox is kept', jobStore.getSyncState(MAILBOX, 'Legacy')?.delta_link === 'legacy-link');
+  check('Lookups ignore the mailbox case', jobStore.getSyncState('Rfq@EXAMPLE.com', 'Legacy')?.delta_link === 'legacy-link');
+}
+
+async function runAllTests() {
+  console.log('Starting Mail Sync Tests...');
+
+  const { server } = await startFakeGraph(addDeltaRoutes);
+  const dataDir = useTempDataDir('mail-sync');
+  process.env.MAIL_SYNC_MODE = 'delta';
+  seedLegacySyncState(dataDir);
+
+  const mailSync = require('./mail-sync');
+  const jobStore = require('./job-store');
+
+  try {
+    testIsNewMessage(mailSync);
+    testLegacyMailboxCase(jobStore);
+    await testDeltaSync(mailSync, jobStore);
+  } finally {
+    server.close();
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All mail sync tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testIsNewMessage,
+  testLegacyMailboxCase,
+  testDeltaSync
+};
@@ -0,0 +1,165 @@
+/* test-ms-graph-mail.js
+   Test file for the Graph message conversion helpers and the threaded reply, run against a
+   local fake Graph server.
+   Run with: node test-ms-graph-mail.js
+*/
+
+const fs = require('fs');
+const { check, useTempDataDir, startFakeGraph, runTests } = require('./test-helpers');
+
+// Required once the fake Graph is listening, as ms-graph-mail.js reads its URL on load
+let htmlToText, convertGraphMessage, replyToMessageOffice365;
+
+// Outlook-style HTML body for a 17-kind RFQ (trimmed to a few kinds)
+const sampleHtmlBody = `
+<html><head><style>p.MsoNormal { margin: 0 }</style></head>
+<body>
+<p class="MsoNormal">Please Supply Price and Lead Time for the following items:</p>
+<p class="MsoNormal">&nbsp;</p>
+<p class="MsoNormal">RFQ No.: Q14080:1.0<br>
+CAMPAIGN: 623869 Autumn Value Main<br>
+TITLE: Clinger 300x160 RC<br>
+PROD: 10688V1-Clinger 300x160 RC<br>
+SIZE: 160.0 mm x 300.0 mm</p>
+<p class="MsoNormal">17 Kinds</p>
+<table>
+  <tr><td>623869010C01</td><td>x1000</td></tr>
+  <tr><td>463024038C01</td><td>x200</td></tr>
+  <tr><td>623869040C01</td><td>x1000</td></tr>
+</table>
+<p class="MsoNormal">PRINT: 4 Colour Process + Satin Varnish one side<br>
+STOCK: 200gsm Spicers Yupo Octopus (White)</p>
+<table>
+  <tr><th>Quantity</th><th>Unit Price</th><th>Total Price (ex gst)</th><th>Lead Times</th></tr>
+  <tr><td>10200</td><td>&nbsp;</td><td>&nbsp;</td><td>&nbsp;</td></tr>
+</table>
+</body></html>
+`;
+
+// Fake Graph mailbox for replies: createReply makes a draft; `failPatch` / `failSend` make
+// the next draft update or send answer 500
+const graph = { drafts: new Map(), sent: [], calls: [], failPatch: false, failSend: false, nextId: 1 };
+
+function addReplyRoutes(app) {
+  app.post('/users/:mailbox/messages/:id/createReply', (req, res) => {
+    if (req.params.id === 'gone') return res.status(404).json({ error: { code: 'ErrorItemNotFound' } });
+    const draft = { id: `draft-${graph.nextId++}`, conversationId: 'conv-1', body: { content: '<p>original</p>' } };
+    graph.drafts.set(draft.id, draft);
+    res.status(201).json(draft);
+  });
+  app.patch('/users/:mailbox/messages/:id', (req, res) => {
+    if (graph.failPatch) return res.status(500).json({ error: { code: 'ErrorInternalServerError' } });
+    Object.assign(graph.drafts.get(req.params.id), req.body);
+    res.json(graph.drafts.get(req.params.id));
+  });
+  app.post('/users/:mailbox/messages/:id/send', (req, res) => {
+    if (graph.failSend) return res.status(500).json({ error: { code: 'ErrorInternalServerError' } });
+    graph.sent.push(graph.drafts.get(req.params.id));
+    graph.drafts.delete(req.params.id);
+    res.status(202).end();
+  });
+  app.delete('/users/:mailbox/messages/:id', (req, res) => {
+    graph.calls.push(`DELETE ${req.params.id}`);
+    graph.drafts.delete(req.params.id);
+    res.status(204).end();
+  });
+}
+
+function testHtmlToText() {
+  console.log('\n=== Testing htmlToText ===');
+
+  const text = htmlToText(sampleHtmlBody);
+  const lines = text.split('\n');
+  console.log(text);
+  console.log('---');
+
+  check('no markup left', !/<[^>]+>/.test(text));
+  check('style content removed', !text.includes('MsoNormal'));
+  check('RFQ line kept on its own line', lines.includes('RFQ No.: Q14080:1.0'));
+  check('SIZE line kept on its own line', lines.includes('SIZE: 160.0 mm x 300.0 mm'));
+  check('kind table rows kept as lines', lines.includes('623869010C01\tx1000') && lines.includes('463024038C01\tx200'));
+  check('quantity row kept', lines.includes('10200'));
+  check('entities decoded', htmlToText('A&amp;B&nbsp;&#215;&#x41;') === 'A&B ×A');
+  check('empty input', htmlToText('') === '' && htmlToText(null) === '');
+}
+
+function testConvertGraphMessage() {
+  console.log('\n=== Testing convertGraphMessage ===');
+
+  const longPreview = 'x'.repeat(255);
+  const converted = convertGraphMessage({
+    from: { emailAddress: { address: 'buyer@example.com' } },
+    subject: 'Coles RFQ # Q14080',
+    bodyPreview: longPreview,
+    body: { contentType: 'html', content: sampleHtmlBody }
+  });
+
+  check('from mapped', converted.from === 'buyer@example.com');
+  check('text uses full body, not bodyPreview', converted.text !== longPreview && converted.text.includes('623869040C01'));
+  check('html kept', converted.html === sampleHtmlBody);
+
+  const plain = convertGraphMessage({ body: { contentType: 'text', content: 'SIZE: 90mm x 54mm\nQUANTITY: 500' } });
+  check('plain text body passed through', plain.text === 'SIZE: 90mm x 54mm\nQUANTITY: 500' && plain.html === '');
+
+  const previewOnly = convertGraphMessage({ bodyPreview: 'preview only' });
+  check('bodyPreview used when there is no body', previewOnly.text === 'preview only');
+}
+
+async function testReplyToMessage() {
+  console.log('\n=== Testing replyToMessageOffice365 ===');
+
+  const result = await replyToMessageOffice365({ messageId: 'msg-1', htmlBody: '<p>quote</p>', to: 'delivery@example.com' });
+  const sent = graph.sent[0];
+  check('Reply is sent in the thread', result.ok && result.threaded && result.conversationId === 'conv-1');
+  check('Content goes above the quoted original', sent?.body.content === '<p>quote</p><p>original</p>');
+  check('A given recipient replaces the thread\'s', sent?.toRecipients?.[0]?.emailAddress.address === 'delivery@example.com');
+
+  const gone = await replyToMessageOffice365({ messageId: 'gone', htmlBody: '<p>quote</p>' });
+  check('A missing original is reported, not thrown', gone.ok === false && gone.notFound === true);
+
+  for (const failure of ['failPatch', 'failSend']) {
+    graph[failure] = true;
+    let error = null;
+    try {
+      await replyToMessageOffice365({ messageId: 'msg-1', htmlBody: '<p>quote</p>' });
+    } catch (err) {
+      error = err;
+    }
+    graph[failure] = false;
+    check(`A failed ${failure === 'failPatch' ? 'update' : 'send'} deletes its draft`, error && graph.drafts.size === 0 && graph.calls.length > 0);
+    graph.calls = [];
+  }
+}
+
+async function runAllTests() {
+  console.log('Starting ms-graph-mail Tests...');
+
+  const { server: graphServer } = await startFakeGraph(addReplyRoutes);
+  const dataDir = useTempDataDir('ms-graph-mail');
+  process.env.EMAIL_FROM = 'rfq@example.com';
+
+  ({ htmlToText, convertGraphMessage, replyToMessageOffice365 } = require('./ms-graph-mail'));
+
+  try {
+    testHtmlToText();
+    testConvertGraphMessage();
+    await testReplyToMessage();
+  } finally {
+    graphServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All ms-graph-mail tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testHtmlToText,
+  testConvertGraphMessage,
+  testReplyToMessage,
+  sampleHtmlBody
+};
@@ -3,7 +3,9 @@
    Run with: node test-openai-converter.js
 */
 
-const { convertWithOpenAI, processEmailWithOpenAI } = require('./openai-converter');
+const { convertWithOpenAI, processEmailWithOpenAI, parseStructuredRfq, checkExtractionConsistency, buildPayload } = require('./openai-converter');
+const { validateExtraction } = require('./extraction-schema');
+const seventeenKinds = require('./test-17-kinds.json');
 
 // Import the function we need to test stock mapping
 const converterModule = require('./openai-converter');
@@ -308,10 +310,129 @@ async function testColesRFQSingleSided() {
   }
 }
 
+async function testStructuredParser() {
+  console.log('\n=== Testing Structured RFQ Parser (no API calls) ===');
+
+  // 17-kind RFQ: every field and kind must come out of the parser
+  const parsed = parseStructuredRfq(`${seventeenKinds.subject}\n\n${seventeenKinds.text}`);
+  if (!parsed) {
+    console.log('✗ 17 kinds: parser did not recognise the layout');
+  } else {
+    const { extracted, coverage } = parsed;
+    const kindTotal = extracted.kinds.reduce((s, k) => s + k.count, 0);
+    console.log('Coverage:', coverage, 'missing:', parsed.missing, 'warnings:', parsed.warnings);
+    console.log('rfq_no check:', extracted.rfq_no === 'Q14080:1.0' ? '✓' : '✗');
+    console.log('Size check:', extracted.width === 160 && extracted.height === 300 ? '✓' : '✗');
+    console.log('Kinds count check (17):', extracted.kinds.length === 17 ? '✓' : '✗');
+    console.log('Kinds total check (10200):', kindTotal === 10200 ? '✓' : '✗');
+    console.log('Quantity check (10200):', extracted.quantity === 10200 ? '✓' : '✗');
+    console.log('Delivery joined check:', extracted.delivery.includes('Tottenham VIC 3012') ? '✓' : '✗');
+  }
+
+  // Single kind without a count takes the total quantity
+  const single = parseStructuredRfq(sampleEmails.colesRFQ);
+  console.log('Single kind count check (50):', single && single.extracted.kinds.length === 1 && single.extracted.kinds[0].count === 50 ? '✓' : '✗');
+
+  // A lone word in the kinds block is not a kind; the warning sends the RFQ to the model
+  const stray = parseStructuredRfq(sampleEmails.colesRFQ.replace('619353003C01 x 50\n', '619353003C01 x 50\nArtwork\n'));
+  console.log('Stray word is not a kind:', stray && stray.extracted.kinds.length === 1 &&
+    stray.warnings.some(w => w.includes('"Artwork"')) ? '✓' : '✗');
+
+  // Several rows in the Quantity table are quantity breaks; the first is the quantity
+  const breaks = parseStructuredRfq(sampleEmails.colesRFQ.replace(/\n50\n$/, '\n500\n1000\n2500\n'));
+  console.log('Quantity breaks check (500/1000/2500):', breaks && breaks.extracted.quantity === 500 && breaks.extracted.quantities.join('/') === '500/1000/2500' ? '✓' : '✗');
+  const inline = parseStructuredRfq(sampleEmails.colesRFQ.replace(/Quantity\t[^]*$/, 'Quantity: 500/1,000/2500'));
+  console.log('Inline quantity list check:', inline && inline.extracted.quantities.join('/') === '500/1000/2500' ? '✓' : '✗');
+  console.log('Single quantity has no breaks:', single && single.extracted.quantities.length === 0 ? '✓' : '✗');
+  // Several TITLE blocks are separate line items sharing the RFQ No. and DELIVERY
+  const twoItems = parseStructuredRfq(sampleEmails.colesRFQ.replace('RFQ No.: Q13578:1.0',
+    'RFQ No.: Q13578:1.0\nTITLE: Header Card A4\nPROD: 1101V01-Header\nSIZE: 210 mm x 297 mm\n\n619353009C01\n\nPRINT: 4 Colour Process both sides\nSTOCK: 300 Hi Bulk\nFINISH: Trim\nPACKING: Bulk pack\n\nQuantity: 20\n'));
+  console.log('Line items check (2):', twoItems && twoItems.extracted.items.length === 2 ? '✓' : '✗');
+  console.log('Line item fields check:', twoItems && twoItems.extracted.items[0].stock === '300 Hi Bulk' && twoItems.extracted.items[1].quantity === 50 &&
+    twoItems.extracted.title === 'Header Card A4' && twoItems.extracted.delivery.includes('Tottenham') ? '✓' : '✗');
+  console.log('Line items pass validation:', twoItems && validateExtraction(twoItems.extracted).length === 0 ? '✓' : '✗');
+  console.log('Single product has no items:', single && single.extracted.items.length === 0 ? '✓' : '✗');
+  // An item without its own quantities must not take item 1's (copied to the top level)
+  if (twoItems) {
+    const [first, second] = twoItems.extracted.items;
+    const secondWithoutBreaks = { ...second };
+    delete secondWithoutBreaks.quantities;
+    const { final } = buildPayload({ ...twoItems.extracted, quantities: [500, 1000, 2500],
+      items: [{ ...first, quantities: [500, 1000, 2500] }, secondWithoutBreaks] }, sampleEmails.colesRFQ);
+    const other = final.AdditionalItems && final.AdditionalItems[0];
+    console.log('Item without quantities keeps its own quantity:', final.QuantityBreaks && final.QuantityBreaks.length === 3 &&
+      other && other.SelectedQuantity.Quantity === 50 && !other.QuantityBreaks ? '✓' : '✗');
+  }
+
+  // Free-form emails are left to the model
+  console.log('Free-form email rejected:', parseStructuredRfq(sampleEmails.flyers) === null ? '✓' : '✗');
+  const lowCoverage = parseStructuredRfq(sampleEmails.businessCards);
+  console.log('Partial layout has low coverage:', lowCoverage && lowCoverage.coverage < 0.8 ? '✓' : '✗');
+}
+
+async function testSchemaValidation() {
+  console.log('\n=== Testing Extraction Schema Validation (no API calls) ===');
+
+  const parsed = parseStructuredRfq(`${seventeenKinds.subject}\n\n${seventeenKinds.text}`);
+  const validErrors = validateExtraction(parsed.extracted);
+  console.log('Parser output is valid:', validErrors.length === 0 ? '✓' : `✗ ${validErrors.join('; ')}`);
+
+  const invalid = {
+    ...parsed.extracted,
+    width: "160mm",
+    kinds: [{ kind: "623869010C01", count: "1000" }, { kind: "", count: 5 }, "463024038C01"],
+    extra: true
+  };
+  delete invalid.quantity;
+  const errors = validateExtraction(invalid);
+  console.log('Errors:', errors);
+  console.log('String width rejected:', errors.some(e => e.startsWith('/width:')) ? '✓' : '✗');
+  console.log('String count rejected:', errors.some(e => e.startsWith('/kinds/0/count:')) ? '✓' : '✗');
+  console.log('Empty kind rejected:', errors.some(e => e.startsWith('/kinds/1/kind:')) ? '✓' : '✗');
+  console.log('Non-object kind rejected:', errors.some(e => e.startsWith('/kinds/2:')) ? '✓' : '✗');
+  console.log('Extra field rejected:', errors.some(e => e.startsWith('/extra:')) ? '✓' : '✗');
+  console.log('Missing field rejected:', errors.some(e => e.startsWith('/quantity:')) ? '✓' : '✗');
+}
+
+async function testConsistencyChecks() {
+  console.log('\n=== Testing Extraction Consistency Checks (no API calls) ===');
+
+  const emailText = `${seventeenKinds.subject}\n\n${seventeenKinds.text}`;
+  const { extracted } = parseStructuredRfq(emailText);
+
+  const good = checkExtractionConsistency(extracted, emailText);
+  console.log('Complete 17-kind extraction passes:', good.ok ? '✓' : `✗ ${good.issues.join('; ')}`);
+
+  // Model dropped a kind: count and total no longer match the RFQ
+  const missingKind = checkExtractionConsistency({ ...extracted, kinds: extracted.kinds.slice(1) }, emailText);
+  console.log('Missing kind detected:', missingKind.issues.some(i => i.includes('17 kinds but 16')) ? '✓' : '✗');
+  console.log('Total mismatch detected:', missingKind.issues.some(i => i.includes('does not match the stated quantity (10200)')) ? '✓' : '✗');
+
+  // Same kind code extracted twice
+  const duplicated = [...extracted.kinds.slice(0, 16), { kind: extracted.kinds[0].kind, count: 1000 }];
+  const duplicate = checkExtractionConsistency({ ...extracted, kinds: duplicated }, emailText);
+  console.log('Duplicate kind detected:', duplicate.issues.some(i => i.startsWith('Duplicate kind codes')) ? '✓' : '✗');
+
+  // No kinds and no stated count: nothing to compare
+  const noKinds = checkExtractionConsistency({ ...extracted, kinds: [] }, 'SIZE: 90mm x 54mm\nQuantity: 500');
+  console.log('Kind-less RFQ passes:', noKinds.ok ? '✓' : '✗');
+
+  // Line items are checked one by one
+  const item = { title: '', prod: '', width: null, height: null, print: '', stock: '', finish: '', packing: '' };
+  const twoItems = checkExtractionConsistency({ ...extracted, items: [
+    { ...item, kinds: [{ kind: 'A1', count: 100 }], quantity: 100 },
+    { ...item, kinds: [{ kind: 'B1', count: 100 }, { kind: 'B2', count: 50 }], quantity: 200 }
+  ] }, 'SIZE: 90mm x 54mm');
+  console.log('Item mismatch detected per item:', !twoItems.ok && twoItems.issues.length === 1 && twoItems.issues[0].startsWith('Item 2: Sum of kind counts') ? '✓' : '✗');
+}
+
 async function runAllTests() {
   console.log('Starting OpenAI Converter Tests...');
-  console.log('Note: These tests require a valid OPENAI_API_KEY in your .env file');
+  console.log('Note: These tests require a valid OPENAI_API_KEY in your .env file (or LLM_PROVIDER=stub for an offline run)');
 
+  await testStructuredParser();
+  await testSchemaValidation();
+  await testConsistencyChecks();
   await testBasicConversion();
   await testProcessEmailWithLogging();
   await testMultipleEmailFormats();
@@ -333,5 +454,8 @@ module.exports = {
   testMultipleEmailFormats,
   testErrorHandling,
   testHardCodedValues,
+  testStructuredParser,
+  testSchemaValidation,
+  testConsistencyChecks,
   sampleEmails
-};
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,183 @@
+/* test-printiq-client.js
+   Test file for the PrintIQ client (printiq-client.js): login token caching, retries,
+   HTML detection and OData paging, run against a local stand-in for PrintIQ.
+   Run with: node test-printiq-client.js
+*/
+
+const http = require('http');
+const fs = require('fs');
+const express = require('express');
+const { check, listen, useTempDataDir, runTests } = require('./test-helpers');
+
+// Stand-in PrintIQ: `failures` makes the next GetPrice calls answer 503 (`busy` 429), `expired`
+// makes the current token fail once, `odataFailures` makes the next OData calls answer 503 and
+// `html` answers the OData call with a login page
+const printiq = { logins: 0, prices: 0, failures: 0, busy: 0, expired: false, slow: false, odataFailures: 0, html: false, token: null };
+
+function fakePrintIQApp() {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/api/QuoteProcess/GetApplicationLogInToken', (req, res) => {
+    printiq.logins++;
+    printiq.token = `token-${printiq.logins}-abcdefghijklmnop`;
+    res.json(`"${printiq.token}"`);
+  });
+
+  app.post('/api/QuoteProcess/GetPrice', (req, res) => {
+    printiq.prices++;
+    if (printiq.slow) return; // never answers
+    if (printiq.failures > 0) {
+      printiq.failures--;
+      return res.status(503).send('Service Unavailable');
+    }
+    if (printiq.busy > 0) {
+      printiq.busy--;
+      return res.status(429).send('Too Many Requests');
+    }
+    if (printiq.expired || req.query.LoginToken !== printiq.token) {
+      printiq.expired = false;
+      return res.json({ IsError: true, ErrorMessage: 'Login token is invalid or expired' });
+    }
+    res.json({ IsError: false, QuoteDetails: { QuoteNo: 'Q1', Products: [{ Quantities: [{ Quantity: req.body.SelectedQuantity.Quantity, Price: 99 }] }] } });
+  });
+
+  app.get('/odata/StockDefinitions', (req, res) => {
+    if (printiq.html) return res.type('text/html').send('<html><body>Please log in</body></html>');
+    if (printiq.odataFailures > 0) {
+      printiq.odataFailures--;
+      return res.status(503).send('Service Unavailable');
+    }
+    if (req.get('PrintIQ-Access-Token') !== 'odata-token') return res.status(401).json({ error: 'unauthorized' });
+    const skip = Number(req.query.$skip || 0);
+    const rows = [{ Code: 'S1' }, { Code: 'S2' }, { Code: 'S3' }].slice(skip, skip + 2);
+    res.json({ value: rows, ...(skip + 2 < 3 ? { '@odata.nextLink': `StockDefinitions?$skip=${skip + 2}` } : {}) });
+  });
+
+  return app;
+}
+
+async function testLoginAndPrice(client) {
+  console.log('\n=== Testing login token cache ===');
+  const payload = { SelectedQuantity: { Quantity: 500 } };
+
+  let result = await client.getPrice(payload);
+  check('GetPrice returns the quote', result.status === 200 && result.body.QuoteDetails.QuoteNo === 'Q1');
+  check('Quoted token is unwrapped', client.parseToken('"abc"') === 'abc');
+
+  await Promise.all([client.getPrice(payload), client.getPrice(payload)]);
+  check('Token is reused across quotes', printiq.logins === 1);
+
+  printiq.expired = true;
+  result = await client.getPrice(payload);
+  check('A rejected token is replaced and the quote retried', result.body.IsError === false && printiq.logins === 2);
+
+  console.log('\n=== Testing retries ===');
+  printiq.busy = 2;
+  printiq.prices = 0;
+  result = await client.getPrice(payload);
+  check('429 answers are retried', result.status === 200 && printiq.prices === 3);
+
+  // GetPrice may have created the quote before a 5xx or a timeout, so it is not repeated
+  printiq.failures = 2;
+  printiq.prices = 0;
+  let error = null;
+  try {
+    await client.getPrice(payload);
+  } catch (err) {
+    error = err;
+  }
+  check('A 503 from GetPrice is not retried', error?.status === 503 && error?.code === 'http' && printiq.prices === 1);
+  printiq.failures = 0;
+
+  printiq.slow = true;
+  printiq.prices = 0;
+  error = null;
+  try {
+    await client.getPrice(payload);
+  } catch (err) {
+    error = err;
+  }
+  check('A GetPrice that never answers times out without a retry', error?.code === 'timeout' && printiq.prices === 1);
+  printiq.slow = false;
+
+  const closed = http.createServer();
+  const closedUrl = await listen(closed);
+  await new Promise(resolve => closed.close(resolve));
+  error = null;
+  try {
+    await client.printiqRequest(`${closedUrl}/api/QuoteProcess/GetPrice`, { method: 'POST', body: payload, idempotent: false });
+  } catch (err) {
+    error = err;
+  }
+  check('A refused connection is reported as nothing sent', error?.code === 'connect');
+}
+
+async function testOData(client) {
+  console.log('\n=== Testing OData ===');
+  const rows = await client.fetchODataAll('StockDefinitions');
+  check('Follows nextLink across pages', rows.map(r => r.Code).join(',') === 'S1,S2,S3');
+
+  printiq.odataFailures = 2;
+  const retried = await client.fetchODataAll('StockDefinitions');
+  check('OData 503 answers are retried', retried.length === 3 && printiq.odataFailures === 0);
+
+  printiq.odataFailures = 5;
+  let failed = null;
+  try {
+    await client.fetchODataAll('StockDefinitions');
+  } catch (err) {
+    failed = err;
+  }
+  check('Gives up after PRINTIQ_RETRIES with the HTTP status', failed?.status === 503 && failed?.code === 'http');
+  printiq.odataFailures = 0;
+
+  printiq.html = true;
+  let error = null;
+  try {
+    await client.fetchODataAll('StockDefinitions');
+  } catch (err) {
+    error = err;
+  }
+  check('An HTML page instead of JSON is reported as such', error?.code === 'html' && /HTML/.test(error.message));
+  printiq.html = false;
+}
+
+async function runAllTests() {
+  console.log('Starting PrintIQ Client Tests...');
+
+  const server = http.createServer(fakePrintIQApp());
+  const url = await listen(server);
+
+  const dataDir = useTempDataDir('printiq-client');
+  process.env.PRINTIQ_BASE_URL = url;
+  process.env.PRINTIQ_ODATA_URL = `${url}/odata`;
+  process.env.PRINTIQ_ACCESS_TOKEN = 'odata-token';
+  process.env.PRINTIQ_RETRIES = '2';
+  process.env.PRINTIQ_RETRY_DELAY_MS = '10';
+  process.env.REQUEST_TIMEOUT_MS = '300';
+
+  // Required only now so it picks up the local PrintIQ URLs
+  const client = require('./printiq-client');
+
+  try {
+    await testLoginAndPrice(client);
+    await testOData(client);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All PrintIQ client tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testLoginAndPrice,
+  testOData
+};
@@ -1,8 +1,15 @@
 /* test-quote-processor.js
    Test file for the extracted quote processing functionality.
    Run with: node test-quote-processor.js
+   Add --fake-printiq to quote against the local stand-in (fake-printiq-server.js) instead of PrintIQ.
 */
 
+// Before quote-processor is required, so the PrintIQ client picks up the local URL
+if (process.argv.includes('--fake-printiq')) {
+  const { url } = require('./fake-printiq-server').useFakePrintIQ();
+  console.log(`Using fake PrintIQ at ${url}`);
+}
+
 const { processQuote, extractPriceInfo, getPrintIQToken, createQuoteOnPrintIQ } = require('./quote-processor');
 const { convertWithOpenAI, processEmailWithOpenAI } = require('./openai-converter');
 const path = require('path');
@@ -0,0 +1,257 @@
+/* test-quote-reply.js
+   Test file for the price breakdown (extractPriceInfo in quote-processor.js), quantity-break
+   and multi-item quoting against the local fake PrintIQ (fake-printiq-server.js), the
+   quote reply built from them (quote-reply.js), a retried quote after a PrintIQ error and
+   the pipeline's sender rule (pipeline.js, with the stub LLM).
+   Run with: node test-quote-reply.js
+*/
+
+const http = require('http');
+const fs = require('fs');
+const { createFakePrintIQApp } = require('./fake-printiq-server');
+const { check, listen, useTempDataDir, runTests } = require('./test-helpers');
+
+// Required once the fake PrintIQ is listening, as the client reads its URL on load
+let extractPriceInfo, processQuote, payloadForQuantity, buildQuoteReply, processEmail, saveReviewRules;
+
+// A multi-kind quote with two products, a price break and quote-level freight
+const multiProductResult = {
+  status: 200,
+  body: {
+    IsError: false,
+    QuoteDetails: {
+      QuoteNo: 'Q20001',
+      QuoteID: 20001,
+      FreightPrice: 35,
+      Products: [
+        {
+          ProductDescription: 'Shelf wobblers',
+          Quantities: [
+            {
+              Quantity: 600, QuantityToDisplay: '600', Kinds: 2, Price: 0.25, TotalPrice: 150, Tax: 15, TotalPriceIncTax: 165,
+              KindPrices: [{ KindName: 'Apples', Quantity: 400, Price: 0.2, TotalPrice: 80 }, { KindName: 'Pears', Quantity: 200, Price: 0.35, TotalPrice: 70 }]
+            },
+            { Quantity: 1200, Price: 0.18, TotalPrice: 216, Tax: 21.6 }
+          ]
+        },
+        { Description: 'Header cards', Quantities: [{ Quantity: 50, Price: 2, GST: 10 }] }
+      ]
+    }
+  }
+};
+
+function testExtractPriceInfo() {
+  console.log('\n=== Testing extractPriceInfo ===');
+  const info = extractPriceInfo(multiProductResult);
+
+  check('First quantity still gives price/qty/quoteNo', info.price === 0.25 && info.qty === 600 && info.quoteNo === 'Q20001');
+  check('Every product and quantity is kept', info.products.length === 2 && info.products[0].quantities.length === 2);
+  check('Kind-level prices are extracted', info.products[0].quantities[0].kindPrices.map(k => k.name).join(',') === 'Apples,Pears');
+  check('Missing totals are worked out', info.products[1].quantities[0].total === 100 && info.products[1].quantities[0].totalIncTax === 110);
+  check('Price breaks get an inc-tax total', info.products[0].quantities[1].totalIncTax === 237.6);
+  check('Quote totals add each product\'s first quantity', info.total === 250 && info.tax === 25 && info.totalIncTax === 275);
+  check('Quote-level freight is picked up', info.freight === 35);
+
+  check('No QuoteDetails gives null', extractPriceInfo({ status: 200, body: { IsError: true } }) === null);
+  const bare = extractPriceInfo({ status: 200, body: { QuoteDetails: { QuoteNo: 'Q1', Products: [{ Quantities: [{ Price: 125.5, Quantity: 1000 }] }] } } });
+  check('A bare response still extracts', bare.price === 125.5 && bare.qty === 1000 && bare.total === 125500 && bare.tax === null);
+}
+
+function testBuildQuoteReply() {
+  console.log('\n=== Testing buildQuoteReply ===');
+  const payload = { JobTitle: 'RFQ1 - Wobblers' };
+  const extracted = { prod: 'Wobbler', stock: '300gsm' };
+
+  const single = extractPriceInfo({ status: 200, body: { QuoteDetails: { QuoteNo: 'Q2', Products: [{ Quantities: [{ Quantity: 500, Price: 0.1234, TotalPrice: 61.7, Tax: 6.17 }] }] } } });
+  let reply = buildQuoteReply({ payload, extracted, priceInfo: single, stockMappingUsed: true, from: 'buyer@example.com' });
+  check('Single quantity keeps the unit price line', reply.htmlBody.includes('Estimated unit price:</strong> 0.1234 (ex GST)') && !reply.htmlBody.includes('<table'));
+  check('Single quantity shows total and GST', reply.htmlBody.includes('Total:</strong> 61.70') && reply.htmlBody.includes('GST:</strong> 6.17') && reply.htmlBody.includes('Total inc GST:</strong> 67.87'));
+  check('Reply goes to the sender', reply.to === 'buyer@example.com' && reply.fixedTo === null);
+  const delivered = buildQuoteReply({ payload: { ...payload, DeliveryContact: { Email: 'store@example.com' } }, extracted, priceInfo: single, stockMappingUsed: true, from: 'buyer@example.com' });
+  check('DeliveryContact.Email is a fixed recipient, in the thread too', delivered.to === 'store@example.com' && delivered.fixedTo === 'store@example.com');
+
+  reply = buildQuoteReply({ payload, extracted, priceInfo: extractPriceInfo(multiProductResult), stockMappingUsed: true, from: 'buyer@example.com' });
+  check('Several products are shown as a table', reply.htmlBody.includes('<table') && reply.htmlBody.includes('Shelf wobblers') && reply.htmlBody.includes('Header cards'));
+  check('Table lists the price break and kinds', reply.htmlBody.includes('>1200<') && reply.htmlBody.includes('Apples') && reply.htmlBody.includes('>80.00<'));
+  check('Freight is shown', reply.htmlBody.includes('Freight:</strong> 35.00'));
+}
+
+async function testQuantityBreaks(fake) {
+  console.log('\n=== Testing quantity breaks ===');
+  const payload = {
+    JobTitle: 'RFQ2 - Wobblers',
+    CustomProduct: { FinishSizeWidth: 210, FinishSizeHeight: 297, Sections: [{ ProcessReverse: 'None' }] },
+    SelectedQuantity: {
+      Quantity: 1000,
+      Kinds: 0,
+      AdvancedKinds: { KindsArePacks: false, Kinds: [{ Name: 'A', Quantity: 600 }, { Name: 'B', Quantity: 400 }] }
+    },
+    QuantityBreaks: [1000, 2500, 500]
+  };
+
+  const scaled = payloadForQuantity(payload, 2500);
+  check('Kind counts keep their share of a break', scaled.SelectedQuantity.Quantity === 2500 &&
+    scaled.SelectedQuantity.AdvancedKinds.Kinds.map(k => k.Quantity).join(',') === '1500,1000' && !('QuantityBreaks' in scaled));
+
+  const result = await processQuote(payload, { logDir: null });
+  const sent = fake.quotes.map(q => q.payload);
+  check('One GetPrice per quantity', sent.map(p => p.SelectedQuantity.Quantity).join(',') === '1000,2500,500');
+  check('QuantityBreaks is not sent to PrintIQ', sent.every(p => !('QuantityBreaks' in p)));
+  const rows = result.priceInfo.products[0].quantities;
+  check('Every break is in the breakdown with its quote', rows.map(r => `${r.quantity}:${r.quoteNo}`).join(',') === '1000:Q10001,2500:Q10002,500:Q10003');
+  check('Top-level price is the first break', result.priceInfo.price === rows[0].price && result.priceInfo.quoteNo === 'Q10001');
+  check('Every quote created is listed in quoteNos', result.quoteNos.join(',') === 'Q10001,Q10002,Q10003');
+  check('Larger breaks are cheaper per unit', rows[1].price < rows[0].price && rows[0].price < rows[2].price);
+
+  const reply = buildQuoteReply({ payload, extracted: {}, priceInfo: result.priceInfo, stockMappingUsed: true, from: 'buyer@example.com' });
+  check('Reply names every quote', reply.htmlBody.includes('Quotes Created: <strong>Q10001, Q10002, Q10003</strong>'));
+  check('Reply has a row per quantity', ['>1000<', '>2500<', '>500<'].every(q => reply.htmlBody.includes(q)));
+
+  // A break PrintIQ cannot price is shown in its row without losing the others
+  fake.settings.maxQuantity = 2000;
+  const partial = await processQuote({ ...payload, QuantityBreaks: [1000, 5000] }, { logDir: null });
+  const partialRows = partial.priceInfo.products[0].quantities;
+  check('Other breaks are still priced', partial.success && partial.priceInfo.price === partialRows[0].price && partialRows[0].quantity === 1000);
+  check('A failed break carries its error', partialRows[1].quantity === 5000 && partialRows[1].price === null && /maximum/.test(partialRows[1].error));
+  const partialReply = buildQuoteReply({ payload, extracted: {}, priceInfo: partial.priceInfo, stockMappingUsed: true, from: '' });
+  check('Reply shows the failed break', partialReply.htmlBody.includes('No price: Quantity exceeds the maximum'));
+  delete fake.settings.maxQuantity;
+}
+
+async function testLineItems(fake) {
+  console.log('\n=== Testing multi-item RFQs ===');
+  const item = (title, quantity) => ({
+    JobTitle: title,
+    CustomProduct: { FinishSizeWidth: 100, FinishSizeHeight: 100, Sections: [{ ProcessReverse: 'None' }] },
+    SelectedQuantity: { Quantity: quantity, Kinds: 1 }
+  });
+  const payload = {
+    ...item('RFQ3 / Wobbler', 500),
+    AdditionalItems: [{ ...item('RFQ3 / Header card', 100), QuantityBreaks: [100, 250] }, item('RFQ3 / Bollard cover', 9000)]
+  };
+  const extracted = {
+    title: 'Wobbler',
+    items: [{ title: 'Wobbler', stock: '300 Hi Bulk' }, { title: 'Header card', stock: '200 Silk' }, { title: 'Bollard cover', stock: 'Corflute' }]
+  };
+
+  fake.settings.maxQuantity = 5000;
+  const sentBefore = fake.quotes.length;
+  const result = await processQuote(payload, { logDir: null });
+  delete fake.settings.maxQuantity;
+
+  const sent = fake.quotes.slice(sentBefore).map(q => q.payload);
+  check('Each item is quoted on its own', sent.map(p => p.JobTitle).join(',') === 'RFQ3 / Wobbler,RFQ3 / Header card,RFQ3 / Header card' &&
+    sent.every(p => !('AdditionalItems' in p)));
+  const items = result.priceInfo.items;
+  check('A failed item does not block the rest', result.success && items.length === 3 && items[0].priceInfo && items[1].priceInfo && !items[2].priceInfo);
+  check('The failed item keeps its error', /maximum/.test(items[2].error));
+  check('An item keeps its quantity breaks', items[1].priceInfo.products[0].quantities.length === 2);
+  check('quoteNos lists the quotes of every item and break',
+    result.quoteNos.length === 3 && result.quoteNos.join(',') === sent.map((p, i) => fake.quotes[sentBefore + i].details.QuoteNo).join(','));
+  check('Totals add up the priced items', result.priceInfo.total === Math.round((items[0].priceInfo.total + items[1].priceInfo.total) * 100) / 100);
+
+  const reply = buildQuoteReply({ payload, extracted, priceInfo: result.priceInfo, stockMappingUsed: true, from: 'buyer@example.com' });
+  check('One reply lists every item', ['Item 1: Wobbler', 'Item 2: Header card', 'Item 3: Bollard cover'].every(t => reply.htmlBody.includes(t)));
+  check('Reply names each item\'s quotes', quoteCount(reply.htmlBody) === 3);
+  check('Reply shows the failed item', reply.htmlBody.includes('Not quoted:</strong> Quantity exceeds the maximum'));
+  check('Reply has each item\'s client details', reply.htmlBody.includes('200 Silk') && reply.htmlBody.includes('Corflute'));
+}
+
+// A GetPrice that fails is not kept as the job's quote: the next attempt asks PrintIQ again
+async function testRetryAfterPrintIQError(fake, jobStore) {
+  console.log('\n=== Testing a retry after a PrintIQ error ===');
+  const payload = {
+    JobTitle: 'RFQ4 / Flyer',
+    CustomProduct: { FinishSizeWidth: 148, FinishSizeHeight: 210, Sections: [{ ProcessReverse: 'None' }] },
+    SelectedQuantity: { Quantity: 500, Kinds: 1 }
+  };
+  jobStore.insertJob({ msgId: 'retry-1', payload: { subject: 'RFQ4' }, source: 'smtp' });
+  const jobId = jobStore.listJobs({}).jobs.find(j => j.msg_id === 'retry-1').id;
+  const quote = () => jobStore.resumeStage(jobId, 'printiq_quote', { payload }, () => processQuote(payload, { logDir: null }));
+
+  fake.settings.errorRate = 1;
+  const failed = await quote();
+  fake.settings.errorRate = 0;
+  check('An IsError answer is a failed quote', failed.success === false && failed.error === 'Unable to price this product');
+  check('It is not stored as a completed stage', jobStore.getStageResult(jobId, 'printiq_quote') === undefined);
+
+  const retried = await quote();
+  const stages = jobStore.listJobEvents(jobId).filter(e => e.stage === 'printiq_quote').map(e => e.status);
+  check('The retry quotes again and gets a price', retried.success && retried.priceInfo.price > 0);
+  check('Events show the failure, then the new quote', stages.join(',') === 'error,ok');
+}
+
+// The sender rule needs only the email, so an unknown sender is held before PrintIQ is asked
+async function testUnknownSenderNotQuoted(fake) {
+  console.log('\n=== Testing the sender rule in the pipeline ===');
+  saveReviewRules({ unknownSender: { enabled: true, knownSenders: ['coles.com.au'] } });
+  const text = [
+    'RFQ No.: Q13578:1.0', 'TITLE: Tri-End Half L SS 295x840', 'SIZE: 840.0 mm x 295.0 mm', '', '619353003C01 x 50', '',
+    'PRINT: 4 Colour Process one side', 'STOCK: 200 Sovereign Silk', 'FINISH: Trim to size', 'PACKING: Bulk pack',
+    'DELIVERY: Melbourne', '', 'Quantity\tUnit Price\tTotal Price (ex gst)\tLead Times', '50'
+  ].join('\n');
+  const quotesBefore = fake.quotes.length;
+
+  const unknown = await processEmail({ from: 'someone@example.com', subject: 'RFQ Q13578', text });
+  check('An unknown sender is held for review', unknown.needsReview &&
+    unknown.reviewReasons.join('; ') === 'Sender someone@example.com is not a known sender');
+  check('No PrintIQ quote is created for it', fake.quotes.length === quotesBefore && unknown.reviewData.priceInfo === null);
+
+  // The stock is not in stock-mapping.json, so the quote itself is still held after pricing
+  const known = await processEmail({ from: 'buyer@coles.com.au', subject: 'RFQ Q13578', text });
+  check('A known sender is quoted, then checked against the quote rules', fake.quotes.length === quotesBefore + 1 &&
+    known.reviewData?.priceInfo?.price > 0 && known.reviewReasons.join('; ') === 'Stock mapping not found, default stock was used');
+}
+
+// Quote numbers in the "Quotes Created" line
+function quoteCount(html) {
+  const m = html.match(/Quotes Created: <strong>([^<]*)<\/strong>/);
+  return m ? m[1].split(', ').length : 0;
+}
+
+async function runAllTests() {
+  console.log('Starting Quote Reply Tests...');
+
+  const app = createFakePrintIQApp({ setupPrice: 45, unitPrice: 0.12, taxRate: 0.1, latencyMs: 0, errorRate: 0 });
+  const server = http.createServer(app);
+  process.env.PRINTIQ_BASE_URL = await listen(server);
+  const dataDir = useTempDataDir('quote-reply');
+  delete process.env.REPLY_TO_EMAIL;
+  process.env.LLM_PROVIDER = 'stub';
+
+  ({ extractPriceInfo, processQuote, payloadForQuantity } = require('./quote-processor'));
+  ({ buildQuoteReply } = require('./quote-reply'));
+  ({ processEmail } = require('./pipeline'));
+  ({ saveReviewRules } = require('./review-rules'));
+  const jobStore = require('./job-store');
+
+  try {
+    testExtractPriceInfo();
+    testBuildQuoteReply();
+    await testQuantityBreaks(app.locals.fake);
+    await testLineItems(app.locals.fake);
+    await testRetryAfterPrintIQError(app.locals.fake, jobStore);
+    await testUnknownSenderNotQuoted(app.locals.fake);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All quote reply tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testExtractPriceInfo,
+  testBuildQuoteReply,
+  testQuantityBreaks,
+  testLineItems,
+  testRetryAfterPrintIQError,
+  testUnknownSenderNotQuoted
+};
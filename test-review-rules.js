@@ -0,0 +1,69 @@
+/* test-review-rules.js
+   Test file for the review rules that hold quotes for a human.
+   Run with: node test-review-rules.js
+*/
+
+const { normalizeReviewRules, evaluateReviewRules } = require('./review-rules');
+const { check, runTests } = require('./test-helpers');
+
+function testDefaults() {
+  console.log('\n=== Testing default rules ===');
+
+  const rules = normalizeReviewRules({});
+  check('Unmapped stock on by default', rules.unmappedStock === true);
+  check('Kinds mismatch on by default', rules.kindsMismatch === true);
+  check('Price range off by default', rules.priceRange.enabled === false);
+  check('Unknown sender off by default', rules.unknownSender.enabled === false);
+
+  const clean = evaluateReviewRules({ stockMappingUsed: true, priceInfo: { price: 1.5 }, from: 'anyone@example.com' }, rules);
+  check('Mapped stock, any price/sender passes', clean.length === 0);
+
+  const unmapped = evaluateReviewRules({ stockMappingUsed: false }, rules);
+  check('Unmapped stock held', unmapped.length === 1);
+
+  const mismatch = evaluateReviewRules({ consistency: { ok: false, issues: ['RFQ states 3 kinds but 2 were extracted'] } }, rules);
+  check('Kinds mismatch held with its issue', mismatch[0] === 'RFQ states 3 kinds but 2 were extracted');
+}
+
+function testConfiguredRules() {
+  console.log('\n=== Testing configured rules ===');
+
+  const rules = normalizeReviewRules({
+    unmappedStock: false,
+    kindsMismatch: false,
+    priceRange: { enabled: true, min: '0.10', max: 5 },
+    unknownSender: { enabled: true, knownSenders: ['@coles.com.au', 'Buyer@Example.com', ''] }
+  });
+
+  check('Known senders normalised', JSON.stringify(rules.unknownSender.knownSenders) === '["coles.com.au","buyer@example.com"]');
+  check('Disabled unmapped stock rule ignored', evaluateReviewRules({ stockMappingUsed: false }, rules).length === 0);
+  check('Disabled kinds rule ignored', evaluateReviewRules({ consistency: { ok: false, issues: ['x'] } }, rules).length === 0);
+
+  check('Price below min held', evaluateReviewRules({ priceInfo: { price: 0.05 } }, rules).length === 1);
+  check('Price above max held', evaluateReviewRules({ priceInfo: { price: 12 } }, rules).length === 1);
+  check('Price in range passes', evaluateReviewRules({ priceInfo: { price: 2 } }, rules).length === 0);
+
+  check('Known domain passes', evaluateReviewRules({ from: 'someone@coles.com.au' }, rules).length === 0);
+  check('Known address passes (case-insensitive)', evaluateReviewRules({ from: 'BUYER@example.com' }, rules).length === 0);
+  check('Unknown sender held', evaluateReviewRules({ from: 'other@example.com' }, rules).length === 1);
+  check('Sender rule skipped when sender not in context', evaluateReviewRules({}, rules).length === 0);
+}
+
+function runAllTests() {
+  console.log('Starting Review Rules Tests...');
+
+  testDefaults();
+  testConfiguredRules();
+
+  console.log('\n=== All review rules tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testDefaults,
+  testConfiguredRules
+};
@@ -0,0 +1,99 @@
+/* test-shutdown.js
+   Test file for graceful shutdown: waitForIdle (shutdown.js) and how job-store.js requeues
+   a job the worker had to cut off, or one requeued from the admin Jobs tab. Uses a throwaway
+   DATA_DIR.
+   Run with: node test-shutdown.js
+*/
+
+const fs = require('fs');
+const { check, useTempDataDir, runTests } = require('./test-helpers');
+
+const dataDir = useTempDataDir('shutdown');
+
+const { waitForIdle } = require('./shutdown');
+const jobStore = require('./job-store');
+
+async function testWaitForIdle() {
+  console.log('\n=== Testing waitForIdle ===');
+  check('Resolves true straight away when already idle', await waitForIdle(() => true, 1000, 10));
+
+  let busy = true;
+  setTimeout(() => { busy = false; }, 50);
+  check('Resolves true once the work finishes', await waitForIdle(() => !busy, 1000, 10));
+
+  const started = Date.now();
+  const drained = await waitForIdle(() => false, 100, 10);
+  check('Resolves false when the timeout runs out', drained === false && Date.now() - started >= 100);
+}
+
+function claimJob(msgId) {
+  jobStore.insertJob({ msgId, payload: { from: 'buyer@example.com', subject: 'RFQ' }, source: 'smtp' });
+  return jobStore.claimAndGetJobs(10).find(job => job.msg_id === msgId);
+}
+
+function testMarkJobInterrupted() {
+  console.log('\n=== Testing markJobInterrupted ===');
+  const job = claimJob('<interrupted-1@example.com>');
+  jobStore.saveStageResult(job.id, 'extract', { ok: true });
+  check('Running job is requeued', jobStore.markJobInterrupted(job, { delayMs: 60000 }) === true);
+
+  const row = jobStore.getJob(job.id);
+  check('It is pending again without using up an attempt', row.status === 'pending' && row.attempts === job.attempts);
+  check('It is not claimed before the delay', !jobStore.claimAndGetJobs(10).some(claimed => claimed.id === job.id));
+
+  const event = jobStore.listJobEvents(job.id).find(e => e.stage === 'shutdown');
+  const output = JSON.parse(event?.output || '{}');
+  check('A shutdown event lists the completed stages',
+    event?.status === 'error' && output.completedStages.join(',') === 'extract' && output.retryInSeconds === 60);
+
+  const other = claimJob('<interrupted-2@example.com>');
+  jobStore.markJobInterrupted(other);
+  check('Without a delay it can be claimed straight away', jobStore.claimAndGetJobs(10).some(claimed => claimed.id === other.id));
+
+  jobStore.markJobDone(other.id);
+  check('A job that already finished is left alone', jobStore.markJobInterrupted(other) === false &&
+    jobStore.getJob(other.id).status === 'done');
+}
+
+function testRequeueJob() {
+  console.log('\n=== Testing requeueJob ===');
+  const failed = claimJob('<requeue-1@example.com>');
+  jobStore.saveStageResult(failed.id, 'extract', { ok: true });
+  jobStore.markJobError(failed, 'PrintIQ is down');
+  check('A failed job is requeued and keeps its completed stages', jobStore.requeueJob(failed.id) &&
+    jobStore.getJob(failed.id).status === 'pending' && jobStore.getStageResult(failed.id, 'extract') !== undefined);
+
+  const done = claimJob('<requeue-2@example.com>');
+  jobStore.saveStageResult(done.id, 'extract', { ok: true });
+  jobStore.markJobDone(done.id);
+  check('A done job is not requeued to resume', jobStore.requeueJob(done.id) === false &&
+    jobStore.getJob(done.id).status === 'done');
+  check('With reset it starts over without its stages', jobStore.requeueJob(done.id, { reset: true }) &&
+    jobStore.getJob(done.id).status === 'pending' && jobStore.listCompletedStages(done.id).length === 0);
+}
+
+async function runAllTests() {
+  console.log('Starting Shutdown Tests...');
+
+  try {
+    await testWaitForIdle();
+    testMarkJobInterrupted();
+    testRequeueJob();
+  } finally {
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All shutdown tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testWaitForIdle,
+  testMarkJobInterrupted,
+  testRequeueJob
+};
@@ -0,0 +1,155 @@
+/* test-smtp-server.js
+   Test file for the inbound SMTP listener (smtp-server.js): a message sent over SMTP is parsed,
+   its attachments are saved under DATA_DIR/attachments and a job with source 'smtp' is queued.
+   Runs the server on a free local port with a throwaway DATA_DIR.
+   Run with: node test-smtp-server.js
+*/
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { check, useTempDataDir, runTests } = require('./test-helpers');
+
+// Minimal SMTP client: sends each command once the previous reply is complete and
+// resolves with the reply codes, e.g. { rcpt: 250, data: 354, sent: 250 }
+function sendMail(port, { from, to, raw }) {
+  const steps = [
+    ['greeting', null],
+    ['ehlo', 'EHLO test.local'],
+    ['mail', `MAIL FROM:<${from}>`],
+    ['rcpt', `RCPT TO:<${to}>`],
+    ['data', 'DATA'],
+    ['sent', `${raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')}\r\n.`],
+    ['quit', 'QUIT']
+  ];
+  const codes = {};
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    let buffer = '';
+    let step = 0;
+
+    socket.setEncoding('utf8');
+    socket.on('error', reject);
+    socket.on('close', () => resolve(codes));
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // A reply is complete on its last line: "250 ..." rather than "250-..."
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!/^\d{3} /.test(line)) continue;
+        const code = Number(line.slice(0, 3));
+        codes[steps[step][0]] = code;
+        // Stop after a rejected recipient, as a real client would
+        if (steps[step][0] === 'rcpt' && code >= 400) step = steps.length - 2;
+        step++;
+        if (step < steps.length) socket.write(`${steps[step][1]}\r\n`);
+        else socket.end();
+      }
+    });
+  });
+}
+
+// Each attachment holds "%PDF-1.4 <n>", numbered from 1
+function rfqMessage(messageId, attachmentNames = ['../artwork spec.pdf']) {
+  const attachmentParts = attachmentNames.flatMap((name, index) => [
+    '--b1',
+    `Content-Type: application/pdf; name="${name}"`,
+    `Content-Disposition: attachment; filename="${name}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(`%PDF-1.4 ${index + 1}`).toString('base64')
+  ]);
+  return [
+    'From: Buyer <buyer@example.com>',
+    'To: rfq@localhost',
+    'Subject: Coles RFQ # Q14080',
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Please quote 500 A5 flyers.',
+    ...attachmentParts,
+    '--b1--',
+    ''
+  ].join('\n');
+}
+
+async function testIngestion(port, jobStore, dataDir) {
+  console.log('\n=== Testing SMTP ingestion ===');
+  const codes = await sendMail(port, { from: 'buyer@example.com', to: 'rfq@localhost', raw: rfqMessage('q14080@example.com') });
+  check('Message is accepted', codes.rcpt === 250 && codes.sent === 250);
+
+  const { jobs } = jobStore.listJobs({ sender: 'buyer@example.com' });
+  const job = jobs[0];
+  check('One job is queued with source smtp', jobs.length === 1 && job.source === 'smtp' && job.status === 'pending');
+  check('Message-ID is the job msg_id', job?.msg_id === '<q14080@example.com>');
+  check('It has no Graph message id', job?.graph_msg_id === null);
+
+  const payload = JSON.parse(job?.payload || '{}');
+  check('Sender, subject and text are parsed',
+    payload.from === 'buyer@example.com' && payload.subject === 'Coles RFQ # Q14080' && /500 A5 flyers/.test(payload.text));
+
+  const attachment = payload.attachments?.[0];
+  check('Attachment is listed with its original name and type',
+    payload.attachments?.length === 1 && attachment.filename === '../artwork spec.pdf' && attachment.contentType === 'application/pdf');
+  check('Attachment is saved under DATA_DIR/attachments with a safe name',
+    attachment?.path.startsWith(path.join(dataDir, 'attachments')) && path.basename(attachment.path) === 'artwork_spec.pdf' &&
+    fs.readFileSync(attachment.path, 'utf8') === '%PDF-1.4 1');
+
+  check('The sender filter treats % and _ as plain text',
+    jobStore.listJobs({ sender: 'BUYER@example' }).total === 1 &&
+    jobStore.listJobs({ sender: 'buyer_example' }).total === 0 && jobStore.listJobs({ sender: 'buyer%com' }).total === 0);
+
+  const attachmentsDir = path.join(dataDir, 'attachments');
+  const again = await sendMail(port, { from: 'buyer@example.com', to: 'rfq@localhost', raw: rfqMessage('q14080@example.com') });
+  check('A re-sent message is accepted but not queued twice',
+    again.sent === 250 && jobStore.listJobs({ sender: 'buyer@example.com' }).total === 1);
+  check('It leaves no attachment folder behind', fs.readdirSync(attachmentsDir).length === 1);
+
+  await sendMail(port, { from: 'buyer@example.com', to: 'rfq@localhost', raw: rfqMessage('same-names@example.com', ['spec.pdf', 'spec.pdf', 'Spec.pdf']) });
+  const sameNames = jobStore.listJobs({}).jobs.find(j => j.msg_id === '<same-names@example.com>');
+  const saved = JSON.parse(sameNames?.payload || '{}').attachments || [];
+  check('Attachments with the same name are all kept',
+    saved.map(att => path.basename(att.path)).join(',') === 'spec.pdf,spec-2.pdf,Spec-3.pdf' &&
+    saved.every((att, index) => fs.readFileSync(att.path, 'utf8') === `%PDF-1.4 ${index + 1}`));
+
+  const rejected = await sendMail(port, { from: 'buyer@example.com', to: 'someone@localhost', raw: rfqMessage('other@example.com') });
+  check('A recipient outside SMTP_ALLOWED_RECIPIENTS is refused', rejected.rcpt === 550 && rejected.sent === undefined);
+}
+
+async function runAllTests() {
+  console.log('Starting SMTP Server Tests...');
+
+  const dataDir = useTempDataDir('smtp-server');
+  process.env.SMTP_ALLOWED_RECIPIENTS = 'RFQ@localhost';
+  delete process.env.SMTP_USER;
+  delete process.env.SMTP_PASSWORD;
+
+  const jobStore = require('./job-store');
+  const { server } = require('./smtp-server');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await testIngestion(server.server.address().port, jobStore, dataDir);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    jobStore.db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All SMTP server tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testIngestion
+};
@@ -0,0 +1,121 @@
+/* test-watch-config.js
+   Test file for the watched mailbox folders (watch-config.js) and how a watch's customer
+   profile reaches the PrintIQ payload. Uses a throwaway DATA_DIR.
+   Run with: node test-watch-config.js
+*/
+
+const fs = require('fs');
+const { check, useTempDataDir, runTests } = require('./test-helpers');
+
+const dataDir = useTempDataDir('watch-config');
+process.env.EMAIL_FROM = 'Quotes@Example.com';
+
+const watchConfig = require('./watch-config');
+
+function writeConfig(config) {
+  fs.writeFileSync(watchConfig.FOLDER_CONFIG_FILE, JSON.stringify(config), 'utf8');
+}
+
+function testLegacyConfig() {
+  console.log('\n=== Testing older folder-config.json ===');
+  writeConfig({ selectedFolderId: 'AAMk-rfq', selectedFolderName: 'RFQs' });
+  const watches = watchConfig.loadWatches();
+  check('Single selected folder becomes one watch', watches.length === 1 && watches[0].folderId === 'AAMk-rfq');
+  check('It watches EMAIL_FROM (lower-cased)', watches[0].mailbox === 'quotes@example.com');
+  check('It is enabled with a stable id', watches[0].enabled === true && watches[0].id === 'default');
+}
+
+function testSaveWatches() {
+  console.log('\n=== Testing saveWatches ===');
+  const saved = watchConfig.saveWatches([
+    { folderId: 'Inbox' },
+    { mailbox: 'sales@example.com', folderId: 'AAMk-sales', folderName: 'Sales RFQs', replyFrom: 'quotes@example.com',
+      customerProfile: { customerCode: ' C00099 ', quoteContact: { FirstName: 'Sam' } } },
+    { mailbox: 'old@example.com', folderId: 'Inbox', enabled: false }
+  ]);
+  check('New watches get ids', saved.every(w => w.id) && new Set(saved.map(w => w.id)).size === 3);
+  check('Blank mailbox defaults to EMAIL_FROM', saved[0].mailbox === 'quotes@example.com');
+  check('Customer profile is trimmed and filled in',
+    saved[1].customerProfile.customerCode === 'C00099' && saved[1].customerProfile.quoteContact.FirstName === 'Sam' &&
+    saved[1].customerProfile.quoteContact.Email === '');
+  check('Only enabled watches are polled', watchConfig.getEnabledWatches().length === 2);
+  check('findWatch returns the stored watch', watchConfig.findWatch(saved[1].id).replyFrom === 'quotes@example.com');
+  check('findWatchByFolder matches case-insensitively on mailbox',
+    watchConfig.findWatchByFolder('SALES@example.com', 'AAMk-sales')?.id === saved[1].id);
+
+  const rejected = (watches) => {
+    try {
+      watchConfig.saveWatches(watches);
+      return false;
+    } catch (err) {
+      return err.status === 400;
+    }
+  };
+  check('A folder can only be watched once', rejected([{ folderId: 'Inbox' }, { mailbox: 'quotes@example.com', folderId: 'Inbox' }]));
+  check('A folder is required', rejected([{ mailbox: 'sales@example.com' }]));
+  check('A rejected save leaves the file alone', watchConfig.loadWatches().length === 3);
+}
+
+function testCustomerProfilePayload() {
+  console.log('\n=== Testing customer profile in the PrintIQ payload ===');
+  const { buildPayload } = require('./openai-converter');
+  const extracted = { quantity: 500, width: 148, height: 210, kinds: [] };
+
+  const plain = buildPayload(extracted, 'RFQ').final;
+  check('Without a profile the default customer is used', plain.CustomerCode === 'C00014');
+
+  const profile = { customerCode: 'C00099', quoteContact: { FirstName: 'Sam', Surname: '', Email: 'sam@example.com' } };
+  const withProfile = buildPayload(extracted, 'RFQ', { customerProfile: profile }).final;
+  check('Profile customer code is used', withProfile.CustomerCode === 'C00099');
+  check('Non-blank contact fields override the defaults',
+    withProfile.QuoteContact.FirstName === 'Sam' && withProfile.QuoteContact.Email === 'sam@example.com' &&
+    withProfile.QuoteContact.Surname === plain.QuoteContact.Surname);
+}
+
+function testDiffWatches() {
+  console.log('\n=== Testing watch diff ===');
+  const before = watchConfig.loadWatches();
+  const [first, second, third] = before;
+  const after = [
+    { ...first, folderId: 'AAMk-moved' },
+    { ...second, replyFrom: 'sales@example.com', customerProfile: { ...second.customerProfile, customerCode: 'C00100' } },
+    { ...third, enabled: true },
+    watchConfig.normalizeWatch({ id: 'new', mailbox: 'new@example.com', folderId: 'Inbox', folderName: 'Inbox' })
+  ];
+  const changes = watchConfig.diffWatches(before, after);
+  check('A moved folder is listed', changes.some(c => c.includes('folderId "Inbox" → "AAMk-moved"')));
+  check('Reply address and profile changes are listed',
+    changes.some(c => c.includes('replyFrom')) && changes.some(c => c.includes('customerProfile')));
+  check('Enabling a watch is listed', changes.some(c => c.includes('enabled false → true')));
+  check('Added and removed watches are listed',
+    changes.includes('added new@example.com / Inbox') &&
+    watchConfig.diffWatches(before, after.slice(1)).some(c => c.startsWith('removed ')));
+  check('Same watches give an empty list', watchConfig.diffWatches(before, watchConfig.loadWatches()).length === 0);
+}
+
+function runAllTests() {
+  console.log('Starting Watch Config Tests...');
+
+  try {
+    testLegacyConfig();
+    testSaveWatches();
+    testDiffWatches();
+    testCustomerProfilePayload();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All watch config tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testLegacyConfig,
+  testSaveWatches,
+  testDiffWatches,
+  testCustomerProfilePayload
+};
@@ -0,0 +1,100 @@
+/* test-worker-config.js
+   Test file for the live worker settings (worker-config.js): env vs file precedence,
+   validation, change diffs, the status file and file watching. Uses a throwaway DATA_DIR.
+   Run with: node test-worker-config.js
+*/
+
+const fs = require('fs');
+const { check, useTempDataDir, runTests } = require('./test-helpers');
+
+const dataDir = useTempDataDir('worker-config');
+process.env.EMAIL_FROM = 'quotes@example.com';
+process.env.POLL_INTERVAL_MS = '5000';
+process.env.WORKER_CONFIG_WATCH_MS = '50';
+delete process.env.CLAIM_LIMIT;
+
+const workerConfig = require('./worker-config');
+
+function testPrecedence() {
+  console.log('\n=== Testing env / file precedence ===');
+  const fromEnv = workerConfig.loadWorkerConfig();
+  check('Env value is used without a file', fromEnv.pollIntervalMs === 5000 && fromEnv.sources.pollIntervalMs === 'env');
+  check('Default is used without env or file', fromEnv.claimLimit === 10 && fromEnv.sources.claimLimit === 'default');
+
+  workerConfig.saveWorkerConfig({ pollIntervalMs: '2000', mailbox: ' sales@example.com ', claimLimit: '' });
+  const fromFile = workerConfig.loadWorkerConfig();
+  check('File value overrides env', fromFile.pollIntervalMs === 2000 && fromFile.sources.pollIntervalMs === 'file');
+  check('Blank value keeps the env/default setting', fromFile.claimLimit === 10 && workerConfig.readOverrides().claimLimit === undefined);
+  check('Default mailbox follows the file', workerConfig.getDefaultMailbox() === 'sales@example.com');
+
+  fs.writeFileSync(workerConfig.WORKER_CONFIG_FILE, JSON.stringify({ workerConcurrency: 0 }), 'utf8');
+  check('Invalid value in the file falls back to env/default', workerConfig.loadWorkerConfig().workerConcurrency === 3);
+}
+
+function testValidation() {
+  console.log('\n=== Testing validation ===');
+  let error = null;
+  try {
+    workerConfig.saveWorkerConfig({ pollIntervalMs: '100' });
+  } catch (err) {
+    error = err;
+  }
+  check('Value below the minimum is rejected with 400', error?.status === 400);
+  check('Rejected save leaves the file alone', workerConfig.readOverrides().workerConcurrency === 0);
+}
+
+function testDiff() {
+  console.log('\n=== Testing change diff ===');
+  const before = { pollIntervalMs: 10000, claimLimit: 10, workerConcurrency: 3, pushCatchupIntervalMs: 300000, mailbox: 'a@example.com' };
+  const changes = workerConfig.diffWorkerConfig(before, { ...before, workerConcurrency: 5 });
+  check('Only changed settings are listed', changes.length === 1 && changes[0] === 'workerConcurrency: 3 → 5');
+  check('No changes gives an empty list', workerConfig.diffWorkerConfig(before, { ...before }).length === 0);
+}
+
+function testWorkerStatus() {
+  console.log('\n=== Testing worker status file ===');
+  workerConfig.writeWorkerStatus({ pid: 123, state: 'running' });
+  const status = workerConfig.readWorkerStatus();
+  check('Status is read back with a timestamp', status.pid === 123 && Boolean(status.updatedAt));
+  check('No temp file is left behind', !fs.readdirSync(dataDir).some(file => file.endsWith('.tmp')));
+}
+
+async function testWatchFiles() {
+  console.log('\n=== Testing file watching ===');
+  const changed = [];
+  const stop = workerConfig.watchFiles([workerConfig.WORKER_CONFIG_FILE], file => changed.push(file));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  workerConfig.saveWorkerConfig({ workerConcurrency: 6, claimLimit: 20 });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  stop();
+  check('Edit of the watched file is reported', changed.length >= 1 && changed[0] === workerConfig.WORKER_CONFIG_FILE);
+}
+
+async function runAllTests() {
+  console.log('Starting Worker Config Tests...');
+
+  try {
+    testPrecedence();
+    testValidation();
+    testDiff();
+    testWorkerStatus();
+    await testWatchFiles();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== All worker config tests completed ===');
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests(runAllTests);
+}
+
+module.exports = {
+  testPrecedence,
+  testValidation,
+  testDiff,
+  testWorkerStatus,
+  testWatchFiles
+};
@@ -0,0 +1,150 @@
+/* watch-config.js
+   The mailbox folders the worker watches, stored in DATA_DIR/folder-config.json
+   (editable from the admin Folders tab):
+     { "watches": [ { id, mailbox, folderId, folderName, enabled, replyFrom, customerProfile } ] }
+   mailbox         - mailbox to read (blank: the default mailbox, EMAIL_FROM or as set in
+                     worker-config.json)
+   replyFrom       - address quote replies are sent from (blank: the watched mailbox; another
+                     address needs Send As rights on it)
+   customerProfile - PrintIQ defaults for RFQs from this folder:
+                     { customerCode, quoteContact: { Title, FirstName, Surname, Email } }
+                     blank fields fall back to C00014 and the QUOTE_CONTACT_* env vars
+   Files from older versions ({ selectedFolderId, selectedFolderName }) are read as a
+   single watch on the default mailbox.
+*/
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDefaultMailbox } = require('./worker-config');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const FOLDER_CONFIG_FILE = path.join(DATA_DIR, 'folder-config.json');
+const QUOTE_CONTACT_FIELDS = ['Title', 'FirstName', 'Surname', 'Email'];
+
+function trimmed(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function normalizeCustomerProfile(profile = {}) {
+  const contact = profile.quoteContact || {};
+  const quoteContact = {};
+  for (const field of QUOTE_CONTACT_FIELDS) {
+    quoteContact[field] = trimmed(contact[field]);
+  }
+  return { customerCode: trimmed(profile.customerCode), quoteContact };
+}
+
+// Fill in defaults and coerce types so a hand-edited file can't break the worker
+function normalizeWatch(watch = {}) {
+  const folderId = trimmed(watch.folderId);
+  return {
+    id: trimmed(watch.id),
+    mailbox: (trimmed(watch.mailbox) || getDefaultMailbox()).toLowerCase(),
+    folderId,
+    folderName: trimmed(watch.folderName) || folderId,
+    enabled: watch.enabled !== undefined ? Boolean(watch.enabled) : true,
+    replyFrom: trimmed(watch.replyFrom),
+    customerProfile: normalizeCustomerProfile(watch.customerProfile)
+  };
+}
+
+function loadWatches() {
+  try {
+    if (fs.existsSync(FOLDER_CONFIG_FILE)) {
+      const config = JSON.parse(fs.readFileSync(FOLDER_CONFIG_FILE, 'utf8'));
+      if (Array.isArray(config.watches)) {
+        // hand-added entries without an id get a stable one until they are saved
+        return config.watches.map((watch, i) => {
+          const normalized = normalizeWatch(watch);
+          return normalized.id ? normalized : { ...normalized, id: `watch-${i + 1}` };
+        });
+      }
+      if (trimmed(config.selectedFolderId)) {
+        return [normalizeWatch({ id: 'default', folderId: config.selectedFolderId, folderName: config.selectedFolderName })];
+      }
+    }
+  } catch (err) {
+    logger.warn(`Failed to load folder config: ${err.message}`);
+  }
+  return [];
+}
+
+/**
+ * Validate and store the full list of watches
+ * @param {Array} watches - Watch entries (ids are assigned to new ones)
+ * @returns {Array} The normalized watches as stored
+ * @throws {Error} err.status 400 when an entry has no folder or mailbox, or a folder is listed twice
+ */
+function saveWatches(watches) {
+  const normalized = (Array.isArray(watches) ? watches : [])
+    .map(normalizeWatch)
+    .map(watch => (watch.id ? watch : { ...watch, id: uuidv4() }));
+  const seen = new Set();
+  for (const watch of normalized) {
+    let problem = null;
+    if (!watch.folderId) problem = 'folderId is required';
+    else if (!watch.mailbox) problem = 'mailbox is required (no default mailbox is set)';
+    else if (seen.has(`${watch.mailbox}|${watch.folderId}`)) problem = `${watch.mailbox} / ${watch.folderName} is already watched`;
+    if (problem) {
+      const err = new Error(problem);
+      err.status = 400;
+      throw err;
+    }
+    seen.add(`${watch.mailbox}|${watch.folderId}`);
+  }
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(FOLDER_CONFIG_FILE, JSON.stringify({ watches: normalized }, null, 2), 'utf8');
+  return normalized;
+}
+
+// Watches the worker should read (enabled, with a mailbox)
+function getEnabledWatches() {
+  return loadWatches().filter(watch => watch.enabled && watch.mailbox && watch.folderId);
+}
+
+function findWatch(id) {
+  if (!id) return null;
+  return loadWatches().find(watch => watch.id === id) || null;
+}
+
+function findWatchByFolder(mailbox, folderId) {
+  const address = trimmed(mailbox).toLowerCase();
+  return loadWatches().find(watch => watch.mailbox === address && watch.folderId === folderId) || null;
+}
+
+// "added/removed mailbox / folder" and "mailbox / folder: key old → new" for every watch that
+// differs between two lists of normalized watches, matched by id
+function diffWatches(before, after) {
+  const label = watch => `${watch.mailbox} / ${watch.folderName}`;
+  const previous = new Map(before.map(watch => [watch.id, watch]));
+  const changes = [];
+  for (const watch of after) {
+    const old = previous.get(watch.id);
+    previous.delete(watch.id);
+    if (!old) {
+      changes.push(`added ${label(watch)}`);
+      continue;
+    }
+    for (const key of Object.keys(watch)) {
+      const from = JSON.stringify(old[key]);
+      const to = JSON.stringify(watch[key]);
+      if (from !== to) changes.push(`${label(old)}: ${key} ${from} → ${to}`);
+    }
+  }
+  for (const watch of previous.values()) changes.push(`removed ${label(watch)}`);
+  return changes;
+}
+
+module.exports = {
+  FOLDER_CONFIG_FILE,
+  normalizeWatch,
+  loadWatches,
+  saveWatches,
+  getEnabledWatches,
+  findWatch,
+  findWatchByFolder,
+  diffWatches
+};
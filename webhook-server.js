@@ -1,98 +1,107 @@
 /* webhook-server.js
-   Receives parsed email JSON, converts to PrintIQ JSON via OpenAI, creates PrintIQ quote,
-   extracts price and replies using Microsoft Graph app-only sendMail.
+   HTTP entry point to the RFQ pipeline (pipeline.js): receives parsed email JSON, converts it
+   to a PrintIQ payload, creates the PrintIQ quote, extracts the price and replies using
+   Microsoft Graph. When the original Graph message id is supplied (messageId), the reply is
+   sent in the buyer's thread; otherwise a standalone message is sent.
+
+   WEBHOOK_MODE (or ?mode= per request):
+     sync    - run the pipeline inside the request and answer with its result (default)
+     enqueue - store the email as a job for the worker and answer 202 straight away
+   Requests from the worker carry a jobId and always run synchronously.
+
+   POST /webhook/graph-notifications receives Graph change notifications (push mode, see
+   graph-subscriptions.js) and queues a job for each new message.
+
+   On SIGTERM/SIGINT the server stops accepting requests, lets running pipelines finish
+   (SHUTDOWN_TIMEOUT_MS, see shutdown.js), records a 'shutdown' event on worker jobs it had
+   to cut off (the worker retries them) and closes the database.
 */
 require('dotenv').config();
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 
-const { sendMailOffice365 } = require('./ms-graph-mail');
-const { processQuote } = require('./quote-processor');
-const { convertWithOpenAI } = require('./openai-converter');
+const { processEmail } = require('./pipeline');
+const { insertJob, recordJobEvent, db } = require('./job-store');
+const { handleNotificationRequest } = require('./graph-subscriptions');
+const { handleShutdownSignals, waitForIdle } = require('./shutdown');
 const logger = require('./logger');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
 
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
-const LOG_DIR = path.join(DATA_DIR, 'webhook-logs');
-fs.mkdirSync(LOG_DIR, { recursive: true });
-
 const PORT = process.env.PORT || 3000;
+const WEBHOOK_MODE = (process.env.WEBHOOK_MODE || 'sync').toLowerCase();
+
+// Pipelines running inside a request: id -> { jobId, startedAt }
+const running = new Map();
+let stopping = false;
 
 app.post('/webhook/email', async (req, res) => {
-  try {
-    const { from, subject, text, html, attachments, raw } = req.body;
-    
-    // Process all emails from the selected folder (no subject filtering)
-    const emailText = `${subject || ''}\n\n${text || ''}\n\n${raw || ''}`;
-
-    logger.log("Incoming email from:", from);
-    logger.log("Subject:", subject);
-
-    const result = await convertWithOpenAI(emailText);
-    const payload = result.final;
-    const extracted = result.extracted;
-    const stockMappingUsed = result.stockMappingUsed;
-    logger.log("Payload:", JSON.stringify(payload, null, 2));
-    logger.log("Extracted:", JSON.stringify(extracted, null, 2));
-    logger.log("Stock mapping used:", stockMappingUsed);
-
-    // Process the quote using the extracted module
-    const quoteResult = await processQuote(payload, { logDir: LOG_DIR });
-    
-    if (!quoteResult.success) {
-      logger.error("Failed to process quote:", quoteResult.error);
-      return res.status(500).json({ ok: false, error: quoteResult.error, debug: quoteResult.debug });
-    }
+  if (stopping) {
+    return res.status(503).json({ ok: false, error: 'Webhook server is shutting down' });
+  }
 
-    const { createResult, priceInfo } = quoteResult;
-    let replyResult = { ok: false, reason: 'no-price-found' };
-    let shouldMarkAsRead = false;
-
-    if (priceInfo && typeof priceInfo.price !== 'undefined' && priceInfo.price !== null) {
-      const priceStr = Number(priceInfo.price).toFixed(2);
-      const qtyText = priceInfo.qty || '';
-      const quoteNo = priceInfo.quoteNo || '';
-      const replyTo = process.env.REPLY_TO_EMAIL || (payload.DeliveryContact && payload.DeliveryContact.Email) || from || '';
-
-      // Use the extracted information from OpenAI parsing
-
-      const replySubject = payload.JobTitle || `ADS-ColesDraftQuotes ${extracted.title || 'Quote'} — ${quoteNo}`;
-      const stockMappingNote = !stockMappingUsed ? `<p><strong style="color: red;">Default stock is used as the mapping is not available.</strong></p>` : '';
-      const replyHtml = `<p>Quote Created: <strong>${quoteNo}</strong>.</p>
-<p><strong>Estimated unit price:</strong> ${priceStr} (ex GST)<br/><strong>Quantity:</strong> ${qtyText}</p>
-<p><strong>Information received from client:</strong></p>
-<ul>
-<li><strong>PROD:</strong> ${extracted.prod || 'Not specified'}</li>
-<li><strong>PRINT:</strong> ${extracted.print || 'Not specified'}</li>
-<li><strong>STOCK:</strong> ${extracted.stock || 'Not specified'}</li>
-<li><strong>FINISH:</strong> ${extracted.finish || 'Not specified'}</li>
-<li><strong>PACKING:</strong> ${extracted.packing || 'Not specified'}</li>
-</ul>
-${stockMappingNote}`;
-
-      try {
-        replyResult = await sendMailOffice365({ to: replyTo, subject: replySubject, htmlBody: replyHtml });
-        // Only mark as read if reply was successfully sent
-        if (replyResult.ok) {
-          shouldMarkAsRead = true;
-        }
-      } catch (err) {
-        replyResult = { ok: false, error: String(err) };
-        logger.error("Error sending reply via Graph:", err);
+  // the worker adds the job id and its watched folder's settings to the email
+  const { jobId, mailbox, replyFrom, customerProfile, ...email } = req.body;
+  const mode = String(req.query.mode || WEBHOOK_MODE).toLowerCase();
+
+  if (!jobId && mode === 'enqueue') {
+    try {
+      const msgId = email.messageId || `webhook-${uuidv4()}`;
+      const queued = insertJob({ msgId, payload: email, source: 'webhook', graphMsgId: email.messageId || null });
+      if (!queued) {
+        logger.warn(`Webhook email ignored, already queued: msg_id=${msgId}`);
+      } else {
+        logger.log(`Webhook email queued: msg_id=${msgId} from=${email.from} subject="${email.subject}"`);
       }
-    } else {
-      logger.warn("No price found in createResult, not sending reply.");
+      return res.status(202).json({ ok: true, queued, msgId });
+    } catch (err) {
+      logger.error("Webhook enqueue error:", err);
+      return res.status(500).json({ ok: false, error: err.message || String(err) });
     }
+  }
 
-    res.json({ ok: true, createResult, priceInfo, replyResult, shouldMarkAsRead });
+  const runId = uuidv4();
+  running.set(runId, { jobId: jobId || null, startedAt: Date.now() });
+  try {
+    const result = await processEmail(email, { jobId: jobId || null, mailbox, replyFrom, customerProfile });
+    res.json(result);
   } catch (err) {
     logger.error("Webhook error:", err);
     logger.error("Error stack:", err.stack);
-    res.status(500).json({ ok:false, error: err.message || String(err), stack: err.stack });
+    if (err.extractionAttempts) {
+      // Extraction never produced a valid object: fail loudly, no quote is created
+      return res.status(422).json({ ok: false, error: err.message, extractionAttempts: err.extractionAttempts });
+    }
+    res.status(500).json({ ok:false, error: err.message || String(err), debug: err.debug, stack: err.stack });
+  } finally {
+    running.delete(runId);
   }
 });
 
-app.listen(PORT, () => console.log(`Webhook server listening on http://0.0.0.0:${PORT}/webhook/email`));
\ No newline at end of file
+app.post('/webhook/graph-notifications', handleNotificationRequest);
+
+const server = app.listen(PORT, () => console.log(`Webhook server listening on http://0.0.0.0:${PORT}/webhook/email (mode: ${WEBHOOK_MODE})`));
+
+handleShutdownSignals('Webhook server', async () => {
+  stopping = true;
+  server.close();
+  server.closeIdleConnections();
+
+  if (running.size > 0) {
+    logger.log(`Waiting for ${running.size} pipeline run(s) in flight`);
+  }
+  if (!(await waitForIdle(() => running.size === 0))) {
+    // The worker sees the dropped request as a failed attempt and retries the job,
+    // resuming after the stages that completed
+    for (const { jobId, startedAt } of running.values()) {
+      if (!jobId) continue;
+      recordJobEvent({ jobId, stage: 'shutdown', status: 'error', startedAt, error: 'Interrupted by webhook server shutdown' });
+      logger.warn(`Job id=${jobId} interrupted by webhook server shutdown`);
+    }
+    logger.warn(`${running.size} pipeline run(s) cut off by shutdown`);
+  }
+
+  server.closeAllConnections();
+  db.close();
+});
@@ -0,0 +1,144 @@
+/* worker-config.js
+   Worker settings that can change while it runs. Each value comes from its env var,
+   overridden by DATA_DIR/worker-config.json when set there (editable from the admin
+   Folders tab):
+     pollIntervalMs        POLL_INTERVAL_MS (10000)          - time between mailbox polls
+     claimLimit            CLAIM_LIMIT (10)                  - jobs claimed per tick at most
+     workerConcurrency     WORKER_CONCURRENCY (3)            - jobs processed at the same time
+     pushCatchupIntervalMs PUSH_CATCHUP_INTERVAL_MS (300000) - poll interval in push mode
+     mailbox               EMAIL_FROM                        - default mailbox
+   The worker watches this file and folder-config.json (see watch-config.js) and applies
+   changes without a restart. It reports what it is running with in worker-status.json,
+   which the admin server shows.
+*/
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WORKER_CONFIG_FILE = path.join(DATA_DIR, 'worker-config.json');
+const WORKER_STATUS_FILE = path.join(DATA_DIR, 'worker-status.json');
+// How often the watched files are checked for changes
+const CONFIG_WATCH_INTERVAL = Number(process.env.WORKER_CONFIG_WATCH_MS || 2000);
+
+const WORKER_SETTINGS = {
+  pollIntervalMs: { env: 'POLL_INTERVAL_MS', default: 10000, min: 1000 },
+  claimLimit: { env: 'CLAIM_LIMIT', default: 10, min: 1 },
+  workerConcurrency: { env: 'WORKER_CONCURRENCY', default: 3, min: 1 },
+  pushCatchupIntervalMs: { env: 'PUSH_CATCHUP_INTERVAL_MS', default: 300000, min: 10000 },
+  mailbox: { env: 'EMAIL_FROM', default: '', type: 'string' }
+};
+
+// Valid value for a setting, or undefined (blank, wrong type or below the minimum)
+function parseSetting(key, value) {
+  const setting = WORKER_SETTINGS[key];
+  if (value === null || value === undefined || String(value).trim() === '') return undefined;
+  if (setting.type === 'string') return String(value).trim();
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= setting.min ? n : undefined;
+}
+
+function readOverrides() {
+  try {
+    if (fs.existsSync(WORKER_CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(WORKER_CONFIG_FILE, 'utf8')) || {};
+    }
+  } catch (err) {
+    logger.warn(`Failed to load worker config, using env settings: ${err.message}`);
+  }
+  return {};
+}
+
+/**
+ * Current worker settings: env values overridden by worker-config.json
+ * @returns {Object} { pollIntervalMs, claimLimit, workerConcurrency, pushCatchupIntervalMs, mailbox,
+ *   sources: { key: 'file' | 'env' | 'default' } }
+ */
+function loadWorkerConfig() {
+  const overrides = readOverrides();
+  const config = { sources: {} };
+  for (const key of Object.keys(WORKER_SETTINGS)) {
+    const fromFile = parseSetting(key, overrides[key]);
+    const fromEnv = parseSetting(key, process.env[WORKER_SETTINGS[key].env]);
+    if (overrides[key] !== undefined && fromFile === undefined && String(overrides[key]).trim() !== '') {
+      logger.warn(`Ignoring invalid worker config value ${key}=${JSON.stringify(overrides[key])}`);
+    }
+    config[key] = fromFile ?? fromEnv ?? WORKER_SETTINGS[key].default;
+    config.sources[key] = fromFile !== undefined ? 'file' : fromEnv !== undefined ? 'env' : 'default';
+  }
+  return config;
+}
+
+// Default mailbox (EMAIL_FROM unless overridden); used for watches without their own mailbox
+function getDefaultMailbox() {
+  return parseSetting('mailbox', readOverrides().mailbox) ?? parseSetting('mailbox', process.env.EMAIL_FROM) ?? '';
+}
+
+// Store overrides; blank values remove the override (back to the env setting)
+function saveWorkerConfig(values = {}) {
+  const overrides = {};
+  for (const key of Object.keys(WORKER_SETTINGS)) {
+    const raw = values[key];
+    if (raw === null || raw === undefined || String(raw).trim() === '') continue;
+    const parsed = parseSetting(key, raw);
+    if (parsed === undefined) {
+      const err = new Error(`Invalid value for ${key}: ${raw}` + (WORKER_SETTINGS[key].min ? ` (minimum ${WORKER_SETTINGS[key].min})` : ''));
+      err.status = 400;
+      throw err;
+    }
+    overrides[key] = parsed;
+  }
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(WORKER_CONFIG_FILE, JSON.stringify(overrides, null, 2), 'utf8');
+  return overrides;
+}
+
+// "key: old → new" for every setting that differs
+function diffWorkerConfig(before, after) {
+  return Object.keys(WORKER_SETTINGS)
+    .filter(key => before[key] !== after[key])
+    .map(key => `${key}: ${JSON.stringify(before[key])} → ${JSON.stringify(after[key])}`);
+}
+
+// Call onChange(file) when one of the files is created, edited or removed; returns a stop function
+function watchFiles(files, onChange) {
+  const listeners = files.map(file => {
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) onChange(file);
+    };
+    fs.watchFile(file, { interval: CONFIG_WATCH_INTERVAL }, listener);
+    return { file, listener };
+  });
+  return () => listeners.forEach(({ file, listener }) => fs.unwatchFile(file, listener));
+}
+
+// Written to a temp file and renamed so the admin server never reads a half-written status
+function writeWorkerStatus(status) {
+  const tmpFile = `${WORKER_STATUS_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({ ...status, updatedAt: new Date().toISOString() }, null, 2), 'utf8');
+    fs.renameSync(tmpFile, WORKER_STATUS_FILE);
+  } catch (err) {
+    logger.warn(`Failed to write worker status: ${err.message}`);
+  }
+}
+
+function readWorkerStatus() {
+  if (!fs.existsSync(WORKER_STATUS_FILE)) return null;
+  return JSON.parse(fs.readFileSync(WORKER_STATUS_FILE, 'utf8'));
+}
+
+module.exports = {
+  WORKER_CONFIG_FILE,
+  WORKER_STATUS_FILE,
+  WORKER_SETTINGS,
+  loadWorkerConfig,
+  getDefaultMailbox,
+  saveWorkerConfig,
+  diffWorkerConfig,
+  readOverrides,
+  watchFiles,
+  writeWorkerStatus,
+  readWorkerStatus
+};
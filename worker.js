@@ -1,24 +1,54 @@
-// worker.js — patched so jobs are removed only after webhook accepted and message marked read
+// worker.js — patched so jobs are removed only after the pipeline succeeded and message marked read
 // - do NOT mark messages read during poll
-// - mark message read only after webhook responds OK
+// - mark message read only after the pipeline (in-process or via the webhook) sent the reply
 // - only then mark job done
-// - atomic claim of jobs + run-guard to avoid overlap
+// - atomic claim of jobs + run-guard to avoid overlapping polls
+// - up to workerConcurrency jobs run at once, each tracked until it finishes
+// - failed jobs are retried with exponential backoff and moved to 'dead' after JOB_MAX_ATTEMPTS
+// - retries resume from the first unfinished stage (see job_stages in job-store.js)
+// - PIPELINE_MODE=inprocess runs pipeline.js directly instead of POSTing to the webhook
+// - new mail is found with Graph delta queries (mail-sync.js), read or unread
+// - every enabled mailbox folder in watch-config.js is polled; jobs are tagged with their watch
+// - with GRAPH_NOTIFICATION_URL set, Graph subscriptions push new mail (graph-subscriptions.js)
+//   and the mailbox poll only runs every pushCatchupIntervalMs to catch missed notifications
+// - worker-config.json and folder-config.json are watched: changes apply live and are logged,
+//   and worker-status.json reports the active configuration to the admin server
+// - SIGTERM/SIGINT: stop claiming, let jobs in flight finish (SHUTDOWN_TIMEOUT_MS), requeue the
+//   rest with a 'shutdown' event, then close the database (shutdown.js)
+// - sent, held and dead jobs get an Outlook category and optionally a folder move (mail-actions.js)
 
 require('dotenv').config();
 const fetch = (...args) => import('node-fetch').then(m => m.default(...args));
-const Database = require('better-sqlite3');
 const logger = require('./logger');
 
 // -----------------------------------------
 // Config
 // -----------------------------------------
+// Startup-only settings; the rest (poll interval, claim limit, concurrency, push catch-up
+// interval, default mailbox) live in `config` and follow worker-config.json (worker-config.js)
 const WEBHOOK_URL = process.env.WEBHOOK_URL || "http://webhook:3000/webhook/email";
-const POLL_INTERVAL = Number(process.env.POLL_INTERVAL_MS || 10000); // default 10 seconds
-const MAILBOX = process.env.EMAIL_FROM; // mailbox to poll with Graph
-const CLAIM_LIMIT = Number(process.env.CLAIM_LIMIT || 10);
+// 'webhook' (POST each job to WEBHOOK_URL) or 'inprocess' (call pipeline.js, no webhook container needed)
+const PIPELINE_MODE = (process.env.PIPELINE_MODE || 'webhook').toLowerCase();
+// A job cut off by shutdown in webhook mode may still be running in the webhook container,
+// so it is not claimed again before this delay
+const INTERRUPTED_JOB_DELAY_MS = Number(process.env.INTERRUPTED_JOB_DELAY_MS || 300000);
 
-if (!MAILBOX) {
-  console.error("ERROR: EMAIL_FROM is required (mailbox to poll)");
+const {
+  WORKER_CONFIG_FILE,
+  loadWorkerConfig,
+  diffWorkerConfig,
+  watchFiles,
+  writeWorkerStatus
+} = require('./worker-config');
+let config = loadWorkerConfig();
+
+if (!['webhook', 'inprocess'].includes(PIPELINE_MODE)) {
+  console.error(`ERROR: PIPELINE_MODE must be 'webhook' or 'inprocess' (got '${PIPELINE_MODE}')`);
+  process.exit(1);
+}
+
+if (!config.mailbox) {
+  console.error("ERROR: EMAIL_FROM is required (default mailbox)");
   process.exit(1);
 }
 
@@ -27,222 +57,347 @@ if (!MAILBOX) {
 // -----------------------------------------
 const {
   getGraphAccessToken,
-  fetchUnreadEmails,
+  fetchMessage,
   markMessageAsRead,
   convertGraphMessage
 } = require('./ms-graph-mail');
+const { fetchNewMessages, MAIL_SYNC_MODE } = require('./mail-sync');
+const { isPushEnabled, syncSubscriptions } = require('./graph-subscriptions');
+const { FOLDER_CONFIG_FILE, loadWatches, getEnabledWatches, findWatch, diffWatches } = require('./watch-config');
+const { graphMessageId, applyMailActions } = require('./mail-actions');
 
 // -----------------------------------------
-// SQLite DB
+// Jobs queue (SQLite, shared with smtp-server.js)
 // -----------------------------------------
-const path = require('path');
-const fs = require('fs');
-
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-
-const DB_FILE = path.join(DATA_DIR, 'db.sqlite');
-const db = new Database(DB_FILE);
-db.pragma('journal_mode = WAL');
-
-db.exec(`
-CREATE TABLE IF NOT EXISTS jobs (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  msg_id TEXT UNIQUE,
-  status TEXT,
-  payload TEXT,
-  created_at TEXT
-);
-`);
-
-// Prepared statements
-const insertJob = db.prepare(`
-INSERT OR IGNORE INTO jobs (msg_id, status, payload, created_at)
-VALUES (@msg_id, @status, @payload, datetime('now'))
-`);
-
-const markJobDone = db.prepare(`UPDATE jobs SET status='done' WHERE id=?`);
-const markJobError = db.prepare(`UPDATE jobs SET status='error' WHERE id=?`);
-const resetProcessingToPending = db.prepare(`UPDATE jobs SET status='pending' WHERE status='processing'`);
+const {
+  JOB_MAX_ATTEMPTS,
+  insertJob,
+  claimAndGetJobs,
+  markJobDone,
+  markJobError,
+  markJobNeedsReview,
+  markJobInterrupted,
+  recordExtractionAttempts,
+  resumeStage,
+  updateJobPayload,
+  recoverStuckProcessing,
+  db
+} = require('./job-store');
+const { handleShutdownSignals, waitForIdle } = require('./shutdown');
 
 // -----------------------------------------
-// Claiming logic: atomically grab a batch of pending job ids and mark them 'processing'
+// Poll the watched mailbox folders (watch-config.js)
+// NOTE: We do NOT mark messages read here. We only insert job rows (INSERT OR IGNORE).
+// The message will remain unread until the webhook accepted the job and we mark it read later.
 // -----------------------------------------
-function claimAndGetJobs(limit = CLAIM_LIMIT) {
-  const tx = db.transaction((lim) => {
-    const rows = db.prepare(`SELECT id FROM jobs WHERE status='pending' ORDER BY id LIMIT ?`).all(lim);
-    const ids = rows.map(r => r.id);
-    if (ids.length === 0) return [];
+let lastPollAt = 0;
 
-    const placeholders = ids.map(() => '?').join(',');
-    db.prepare(`UPDATE jobs SET status='processing' WHERE id IN (${placeholders})`).run(...ids);
+function watchLabel(watch) {
+  return `${watch.mailbox} / ${watch.folderName}`;
+}
 
-    const claimed = db.prepare(`SELECT * FROM jobs WHERE id IN (${placeholders}) ORDER BY id`).all(...ids);
-    return claimed;
-  });
+async function pollWatch(token, watch) {
+  const { messages, commit } = await fetchNewMessages(token, watch.mailbox, watch.folderId);
+
+  if (messages.length > 0) {
+    logger.log(`Found ${messages.length} new message(s) in ${watchLabel(watch)}`);
+  }
 
-  return tx(limit);
+  for (const msg of messages) {
+    const converted = convertGraphMessage(msg);
+
+    // store msg_id and payload (dedupe by msg_id due to UNIQUE constraint),
+    // tagged with the watch it came from
+    insertJob({
+      msgId: msg.id,
+      payload: converted,
+      source: 'graph',
+      mailbox: watch.mailbox,
+      folderId: watch.folderId,
+      watchId: watch.id
+    });
+
+    // IMPORTANT: do NOT mark the message read here. We'll only mark it read
+    // after the webhook has accepted and the reply has been sent.
+  }
+
+  // Every message is queued: advance the delta link
+  commit();
 }
 
-// Optional: on startup, reset any 'processing' rows back to 'pending' so stuck jobs are retried
-function recoverStuckProcessing() {
+async function pollMailbox() {
+  lastPollAt = Date.now();
+  const watches = getEnabledWatches();
+
+  // Check if a folder is configured
+  if (watches.length === 0) {
+    logger.log("Email processing skipped - no folder is being watched. Please go to the Folders tab in the admin interface and add a mailbox folder to process emails from.");
+    return;
+  }
+
+  let token;
   try {
-    resetProcessingToPending.run();
+    token = await getGraphAccessToken();
   } catch (err) {
-    logger.error("Failed to reset processing -> pending:", err);
+    logger.error("Mailbox poll error:", err);
+    return;
+  }
+
+  // One failing mailbox doesn't stop the others
+  for (const watch of watches) {
+    try {
+      await pollWatch(token, watch);
+    } catch (err) {
+      logger.error(`Mailbox poll error for ${watchLabel(watch)}:`, err);
+    }
   }
 }
 
 // -----------------------------------------
-// Get selected folder from config
+// Run the pipeline for a job, in this process or through the webhook.
+// Resolves with the pipeline result; failures throw (with extractionAttempts when known).
 // -----------------------------------------
-function getSelectedFolder() {
-  const folderConfigFile = path.join(DATA_DIR, 'folder-config.json');
-  try {
-    if (fs.existsSync(folderConfigFile)) {
-      const content = fs.readFileSync(folderConfigFile, 'utf8');
-      const config = JSON.parse(content);
-      const folderId = config.selectedFolderId;
-      const folderName = config.selectedFolderName || folderId;
-      if (folderId && folderId.trim() !== '') {
-        return { id: folderId, name: folderName };
-      }
+async function postToWebhook(job, email) {
+  const resp = await fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...email, jobId: job.id })
+  });
+
+  if (!resp.ok) {
+    // Webhook didn't accept the job
+    let errorBody = null;
+    try {
+      errorBody = await resp.json();
+    } catch (parseErr) {
+      // non-JSON error body; the status code is all we have
     }
-  } catch (err) {
-    logger.warn(`Failed to load folder config: ${err.message}`);
+    const detail = errorBody?.error ? `: ${errorBody.error}` : '';
+    const err = new Error(`Webhook returned HTTP ${resp.status}${detail}`);
+    err.extractionAttempts = errorBody?.extractionAttempts;
+    throw err;
+  }
+
+  try {
+    return await resp.json();
+  } catch (parseErr) {
+    throw new Error(`Invalid webhook response: ${parseErr.message}`);
+  }
+}
+
+// Jobs queued from a Graph change notification have no payload yet: fetch the message
+// once and store it on the job
+async function loadJobEmail(job) {
+  if (job.payload) return JSON.parse(job.payload);
+
+  const token = await getGraphAccessToken();
+  const email = convertGraphMessage(await fetchMessage(token, job.mailbox || config.mailbox, graphMessageId(job)));
+  updateJobPayload(job.id, email);
+  logger.log(`Fetched message for job id=${job.id}: from=${email.from} subject="${email.subject}"`);
+  return email;
+}
+
+// Reply-from address and customer profile of the watch the job came from (current settings)
+function watchOptions(job) {
+  const watch = findWatch(job.watch_id);
+  return {
+    mailbox: job.mailbox || (graphMessageId(job) ? config.mailbox : null),
+    replyFrom: watch?.replyFrom || null,
+    customerProfile: watch?.customerProfile || null
+  };
+}
+
+async function runPipeline(job) {
+  // Jobs with a Graph message (polled, or queued by the webhook with its id) carry the
+  // original message id so the reply goes in the same thread
+  const messageId = graphMessageId(job);
+  const email = {
+    ...(await loadJobEmail(job)),
+    ...(messageId ? { messageId } : {})
+  };
+  const options = watchOptions(job);
+
+  if (PIPELINE_MODE === 'inprocess') {
+    const { processEmail } = require('./pipeline');
+    return processEmail(email, { jobId: job.id, ...options });
   }
-  return null; // Return null if no folder is configured
+  return postToWebhook(job, { ...email, ...options });
 }
 
 // -----------------------------------------
-// Poll Office365 for emails
-// NOTE: We do NOT mark messages read here. We only insert job rows (INSERT OR IGNORE).
-// The message will remain unread until the webhook accepted the job and we mark it read later.
+// Process one job → run the pipeline
+// After the pipeline succeeds (reply sent), mark the original Office365 message as read,
+// and only then mark the job DONE in DB. Then categorise/move the message (best-effort).
 // -----------------------------------------
-async function pollMailbox() {
-  try {
-    const selectedFolder = getSelectedFolder();
+async function processJob(job) {
+  logger.log(`Processing job id=${job.id} msg_id=${job.msg_id} (attempt ${(job.attempts || 0) + 1}/${JOB_MAX_ATTEMPTS})`);
 
-    // Check if a folder is configured
-    if (!selectedFolder) {
-      logger.log("Email processing skipped - no folder has been selected in the admin interface. Please go to the Folders tab and select a folder to process emails from.");
+  try {
+    let pipelineResult;
+    try {
+      pipelineResult = await runPipeline(job);
+    } catch (errPipeline) {
+      // Pipeline failed — mark job error so it can be retried later
+      if (errPipeline.extractionAttempts) {
+        recordExtractionAttempts(job.id, errPipeline.extractionAttempts);
+      }
+      logger.error(`Pipeline error for job id=${job.id} msg_id=${job.msg_id}: ${errPipeline.message}`);
+      await failJob(job, errPipeline.message);
       return;
     }
 
-    const token = await getGraphAccessToken();
-    const messages = await fetchUnreadEmails(token, MAILBOX, selectedFolder.id);
+    if (pipelineResult?.extractionAttempts) {
+      recordExtractionAttempts(job.id, pipelineResult.extractionAttempts);
+    }
 
-    if (messages.length > 0) {
-      logger.log(`Found ${messages.length} unread message(s) in folder: ${selectedFolder.name}`);
+    // Extraction looked wrong: park the job for review, don't retry it
+    if (pipelineResult?.needsReview) {
+      markJobNeedsReview(job, pipelineResult.reviewReasons || ['flagged by pipeline'], pipelineResult.reviewData);
+      await applyMailActions(job, 'review', { mailbox: config.mailbox });
+      return;
     }
 
-    for (const msg of messages) {
-      const converted = convertGraphMessage(msg);
+    // Check if the pipeline says we should mark as read (price found + reply sent)
+    const shouldMarkAsRead = pipelineResult?.shouldMarkAsRead === true;
+    
+    if (!shouldMarkAsRead) {
+      // Either no price was found or reply was not sent - don't mark as read so it can be retried
+      const reason = pipelineResult?.replyResult?.reason || pipelineResult?.replyResult?.error || 'no-price-or-reply-failed';
+      logger.warn(`Not marking as read for job id=${job.id} msg_id=${job.msg_id}. Reason: ${reason}`);
+      await failJob(job, reason);
+      return;
+    }
 
-      // store msg_id and payload (dedupe by msg_id due to UNIQUE constraint)
-      insertJob.run({
-        msg_id: msg.id,
-        status: "pending",
-        payload: JSON.stringify(converted)
-      });
+    // Jobs received over SMTP, or queued by the webhook without a Graph id, have no
+    // Office365 message to mark
+    if (!graphMessageId(job)) {
+      markJobDone(job.id);
+      logger.log(`Job processed and reply sent: id=${job.id} msg_id=${job.msg_id} (${job.source})`);
+      return;
+    }
 
-      // IMPORTANT: do NOT mark the message read here. We'll only mark it read
-      // after the webhook has accepted and the reply has been sent.
+    // shouldMarkAsRead is true - now mark the original Office365 message as read
+    try {
+      // Need a fresh Graph token to mark message as read
+      const mailbox = job.mailbox || config.mailbox;
+      const messageId = graphMessageId(job);
+      await resumeStage(job.id, 'mark_read', { mailbox, messageId }, async () => {
+        const token = await getGraphAccessToken();
+        await markMessageAsRead(token, mailbox, messageId);
+        return { ok: true };
+      });
+    } catch (errMark) {
+      // Failed to mark message as read — we should NOT mark job done,
+      // because marking the message read is part of the guarantee.
+      // Mark job as error so it will be retried with backoff.
+      logger.error(`Failed to mark message read for job id=${job.id} msg_id=${job.msg_id}:`, errMark);
+      await failJob(job, `Failed to mark message read: ${errMark.message || errMark}`);
+      return;
     }
+
+    // If we reach here, pipeline succeeded AND reply sent AND message marked read — safe to mark job done
+    markJobDone(job.id);
+    logger.log(`Job processed, reply sent, and message marked read: id=${job.id} msg_id=${job.msg_id}`);
+    await applyMailActions(job, 'sent', { mailbox: config.mailbox });
   } catch (err) {
-    logger.error("Mailbox poll error:", err);
+    // network or unexpected exception
+    logger.error(`Unexpected exception for job id=${job.id} msg_id=${job.msg_id}:`, err);
+    await failJob(job, err);
+  }
+}
+
+// Record a failed attempt; once the job is dead, tag/move its message as failed
+async function failJob(job, reason) {
+  if (markJobError(job, reason) === 'dead') {
+    await applyMailActions(job, 'failed', { mailbox: config.mailbox });
   }
 }
 
 // -----------------------------------------
-// Process pending jobs → send to webhook
-// After webhook responds OK, mark the original Office365 message as read,
-// and only then mark the job DONE in DB.
+// Bounded worker pool: claim only as many jobs as there are free slots and run them
+// side by side. Each job finishes on its own, so one slow quote doesn't hold up the others;
+// a freed slot is refilled straight away instead of waiting for the next tick.
 // -----------------------------------------
-async function processJobs() {
-  const jobs = claimAndGetJobs(CLAIM_LIMIT);
+const inFlight = new Map(); // job id -> { job, startedAt }
+let stopping = false; // set on shutdown: no new jobs are claimed
 
-  if (!jobs || jobs.length === 0) {
+function processJobs() {
+  if (stopping) return;
+  const free = Math.min(config.claimLimit, config.workerConcurrency - inFlight.size);
+  if (free <= 0) return;
+
+  let jobs;
+  try {
+    jobs = claimAndGetJobs(free);
+  } catch (err) {
+    logger.error("Failed to claim jobs:", err);
     return;
   }
 
   for (const job of jobs) {
-    logger.log(`Processing job id=${job.id} msg_id=${job.msg_id}`);
-
-    try {
-      const resp = await fetch(WEBHOOK_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: job.payload
+    inFlight.set(job.id, { job, startedAt: Date.now() });
+    processJob(job)
+      .catch(err => logger.error(`Unexpected error for job id=${job.id}:`, err))
+      .finally(() => {
+        inFlight.delete(job.id);
+        processJobs();
       });
+  }
+}
 
-      if (!resp.ok) {
-        // Webhook didn't accept the job — mark job error so it can be retried later.
-        logger.error(`Webhook error for job id=${job.id} msg_id=${job.msg_id}: HTTP ${resp.status}`);
-        markJobError.run(job.id);
-        continue;
-      }
-
-      // Webhook returned 200 OK - check if we should mark as read
-      let webhookResult;
-      try {
-        webhookResult = await resp.json();
-      } catch (parseErr) {
-        logger.error(`Failed to parse webhook response for job id=${job.id}:`, parseErr);
-        markJobError.run(job.id);
-        continue;
-      }
-
-      // Check if webhook says we should mark as read (price found + reply sent)
-      const shouldMarkAsRead = webhookResult?.shouldMarkAsRead === true;
-      
-      if (!shouldMarkAsRead) {
-        // Either no price was found or reply was not sent - don't mark as read so it can be retried
-        const reason = webhookResult?.replyResult?.reason || webhookResult?.replyResult?.error || 'no-price-or-reply-failed';
-        logger.warn(`Not marking as read for job id=${job.id} msg_id=${job.msg_id}. Reason: ${reason}`);
-        markJobError.run(job.id);
-        continue;
-      }
+function logInFlight() {
+  if (inFlight.size === 0) return;
+  const now = Date.now();
+  const list = [...inFlight.entries()]
+    .map(([id, info]) => `id=${id} (${Math.round((now - info.startedAt) / 1000)}s)`)
+    .join(', ');
+  logger.log(`Jobs in flight ${inFlight.size}/${config.workerConcurrency}: ${list}`);
+}
 
-      // shouldMarkAsRead is true - now mark the original Office365 message as read
-      try {
-        // Need a fresh Graph token to mark message as read
-        const token = await getGraphAccessToken();
-        await markMessageAsRead(token, MAILBOX, job.msg_id);
-      } catch (errMark) {
-        // Failed to mark message as read — we should NOT mark job done,
-        // because marking the message read is part of the guarantee.
-        // Mark job as error so it will be retried (or you could reset to 'pending').
-        logger.error(`Failed to mark message read for job id=${job.id} msg_id=${job.msg_id}:`, errMark);
-        markJobError.run(job.id);
-        continue;
-      }
+// -----------------------------------------
+// Push mode: keep a Graph subscription on each watched folder.
+// pushActive is true while it works; otherwise the mailbox is polled every tick.
+// -----------------------------------------
+let pushActive = false;
 
-      // If we reach here, webhook accepted AND reply sent AND message marked read — safe to mark job done
-      markJobDone.run(job.id);
-      logger.log(`Job processed, reply sent, and message marked read: id=${job.id} msg_id=${job.msg_id}`);
-    } catch (err) {
-      // network or unexpected exception
-      logger.error(`Webhook exception for job id=${job.id} msg_id=${job.msg_id}:`, err);
-      markJobError.run(job.id);
-    }
+async function maintainSubscriptions() {
+  const folders = getEnabledWatches().map(watch => ({ mailbox: watch.mailbox, folderId: watch.folderId }));
+  let active = false;
+  try {
+    const result = await syncSubscriptions({ getToken: getGraphAccessToken, folders });
+    active = result.ok && folders.length > 0;
+  } catch (err) {
+    logger.error("Graph subscription error:", err);
   }
+  if (active !== pushActive) {
+    logger.log(active
+      ? `Push mode active: mailbox polled every ${config.pushCatchupIntervalMs}ms as catch-up`
+      : 'Push mode inactive: polling the mailbox every tick');
+  }
+  pushActive = active;
 }
 
 // -----------------------------------------
-// Main Loop — prevent overlapping runs
+// Main Loop — prevent overlapping polls (jobs run independently of the loop)
 // -----------------------------------------
 let mainRunning = false;
 
 async function mainLoop() {
-  if (mainRunning) {
-    // skip this tick if previous run still active
+  if (mainRunning || stopping) {
+    // skip this tick if previous poll still active
     return;
   }
   mainRunning = true;
   try {
-    await pollMailbox();
-    await processJobs();
+    if (isPushEnabled()) {
+      await maintainSubscriptions();
+    }
+    if (!pushActive || Date.now() - lastPollAt >= config.pushCatchupIntervalMs) {
+      await pollMailbox();
+    }
+    logInFlight();
+    processJobs();
+    reportStatus();
   } catch (err) {
     logger.error("mainLoop error:", err);
   } finally {
@@ -250,13 +405,103 @@ async function mainLoop() {
   }
 }
 
+// -----------------------------------------
+// Live configuration: reload worker-config.json / folder-config.json when they change,
+// log what changed and report the active configuration in worker-status.json
+// -----------------------------------------
+const startedAt = new Date().toISOString();
+let loopTimer = null;
+
+function startLoopTimer() {
+  if (loopTimer) clearInterval(loopTimer);
+  loopTimer = setInterval(mainLoop, config.pollIntervalMs);
+}
+
+function watchSummary(watches) {
+  return watches.length > 0 ? watches.map(watchLabel).join(', ') : 'none';
+}
+
+function reportStatus() {
+  const { sources, ...settings } = config;
+  writeWorkerStatus({
+    pid: process.pid,
+    state: stopping ? 'stopped' : 'running',
+    startedAt,
+    pipelineMode: PIPELINE_MODE,
+    mailSyncMode: MAIL_SYNC_MODE,
+    push: isPushEnabled() ? (pushActive ? 'active' : 'inactive') : 'off',
+    config: settings,
+    sources,
+    watches: getEnabledWatches().map(({ id, mailbox, folderId, folderName, replyFrom }) => ({ id, mailbox, folderId, folderName, replyFrom })),
+    jobsInFlight: inFlight.size,
+    lastPollAt: lastPollAt ? new Date(lastPollAt).toISOString() : null
+  });
+}
+
+// Every configured watch, including disabled ones, so enabling or editing one is noticed
+let knownWatches = loadWatches();
+
+function applyConfigChange(file) {
+  if (file === WORKER_CONFIG_FILE) {
+    const next = loadWorkerConfig();
+    const changes = diffWorkerConfig(config, next);
+    if (changes.length === 0) return;
+    if (!next.mailbox) {
+      logger.warn("Worker config change ignored: no default mailbox (EMAIL_FROM) left");
+      return;
+    }
+    const intervalChanged = next.pollIntervalMs !== config.pollIntervalMs;
+    config = next;
+    logger.log(`Worker config changed: ${changes.join(', ')}`);
+    if (intervalChanged) startLoopTimer();
+  } else {
+    const next = loadWatches();
+    const changes = diffWatches(knownWatches, next);
+    knownWatches = next;
+    if (changes.length === 0) return;
+    logger.log(`Watched folders changed: ${changes.join(', ')}`);
+    // Poll now even in push mode so a newly added or moved folder is caught up straight away
+    lastPollAt = 0;
+  }
+
+  reportStatus();
+  // Pick up a new folder or a larger pool straight away instead of on the next tick
+  mainLoop();
+}
+
 // startup
 recoverStuckProcessing();
-const selectedFolder = getSelectedFolder();
-const folderInfo = selectedFolder
-  ? `folder: ${selectedFolder.name}`
-  : 'no folder configured - please select a folder in the admin interface';
-console.log("Worker started. Polling Office365 mailbox:", MAILBOX, "-", folderInfo);
-logger.log(`Worker service restarted. Polling Office365 mailbox: ${MAILBOX} - ${folderInfo}`);
-setInterval(mainLoop, POLL_INTERVAL);
+const startupWatches = getEnabledWatches();
+const folderInfo = startupWatches.length > 0
+  ? `watching: ${watchSummary(startupWatches)}`
+  : 'no folder configured - please add one in the admin interface';
+console.log("Worker started.", folderInfo, "- pipeline:", PIPELINE_MODE);
+logger.log(`Worker service restarted. ${folderInfo} - pipeline: ${PIPELINE_MODE}, sync: ${MAIL_SYNC_MODE}${isPushEnabled() ? ' + push' : ''}, concurrency: ${config.workerConcurrency}, poll every ${config.pollIntervalMs}ms`);
+const stopWatchingFiles = watchFiles([WORKER_CONFIG_FILE, FOLDER_CONFIG_FILE], applyConfigChange);
+startLoopTimer();
 mainLoop();
+
+// -----------------------------------------
+// Graceful shutdown: stop polling and claiming, drain the pool, requeue what didn't finish
+// (in webhook mode after INTERRUPTED_JOB_DELAY_MS)
+// -----------------------------------------
+handleShutdownSignals('Worker', async () => {
+  stopping = true;
+  clearInterval(loopTimer);
+  stopWatchingFiles();
+
+  if (inFlight.size > 0) {
+    logger.log(`Waiting for ${inFlight.size} job(s) in flight: ${[...inFlight.keys()].map(id => `id=${id}`).join(', ')}`);
+  }
+  // An interrupted poll has nothing to undo (delta links are saved after its jobs are queued)
+  const drained = await waitForIdle(() => inFlight.size === 0 && !mainRunning);
+  if (!drained) {
+    const delayMs = PIPELINE_MODE === 'webhook' ? INTERRUPTED_JOB_DELAY_MS : 0;
+    for (const { job } of inFlight.values()) {
+      markJobInterrupted(job, { delayMs });
+    }
+  }
+
+  reportStatus();
+  db.close();
+});